@@ -1,27 +1,54 @@
 #!/usr/bin/env node
 
-import { Command } from 'commander';
+import { Command, CommanderError } from 'commander';
 import chalk from 'chalk';
 import { SSHKeyManager } from './cli/ssh-key-manager.js';
+import { setOutputFormat, isMachineOutput } from './cli/output.js';
+import { CancelledError, EXIT_CODES, getExitCode, toErrorRecord } from './cli/errors.js';
 
 const program = new Command();
 
+// Collect a repeatable option into an array
+function collect(value, previous = []) {
+  return [...previous, value];
+}
+
 program
   .name('ssh-kim')
   .description('SSH Key Inspection Manager CLI - Manage your SSH keys from the command line')
-  .version('1.0.0');
+  .version('1.0.0')
+  .option('--vault <name>', 'Use a named vault instead of the current one')
+  .option('--json', 'Print results as JSON (shorthand for --format json)')
+  .option('--format <format>', 'Output format: text, json, ndjson or tsv')
+  .exitOverride()
+  .hook('preAction', () => {
+    const { vault, json, format } = program.opts();
+    if (vault) {
+      process.env.SSH_KIM_VAULT = vault;
+    }
+    setOutputFormat(json ? 'json' : format || 'text');
+  });
 
 // List all keys
 program
   .command('list')
   .alias('ls')
-  .description('List all SSH keys')
+  .description('List all SSH keys, optionally filtered by a query')
+  .argument('[query...]', 'Filter, e.g. "type:ed25519 tag:prod -tag:legacy bits>=3072 created>2025-01-01 name~deploy"')
   .option('-s, --search <term>', 'Search keys by name, tag, or type')
-  .option('-t, --tag <tag>', 'Filter by tag')
+  .option('-t, --tag <tags>', 'Filter by tag (repeatable or comma-separated; matches any)', collect)
+  .option('--all-tags', 'Only list keys that have every --tag')
   .option('-y, --type <type>', 'Filter by key type (RSA, DSA, ECDSA, Ed25519)')
-  .action(async (options) => {
+  .option('-c, --columns <columns>', 'Table columns, comma-separated: id, name, tags, type, bits, fingerprint, created, modified, expires, source')
+  .option('--sort <column>', 'Sort by a column')
+  .option('-r, --reverse', 'Reverse the order')
+  .option('--limit <count>', 'Show at most this many keys')
+  .option('--offset <count>', 'Skip this many keys first')
+  .option('-l, --long', 'Show a detailed block per key instead of a table')
+  .option('--no-pager', 'Do not page output taller than the terminal')
+  .action(async (query, options) => {
     const manager = new SSHKeyManager();
-    await manager.listKeys(options);
+    await manager.listKeys({ ...options, query: query.join(' ') });
   });
 
 // Add a new key
@@ -30,38 +57,101 @@ program
   .alias('a')
   .description('Add a new SSH key')
   .option('-n, --name <name>', 'Key name')
-  .option('-t, --tag <tag>', 'Key tag')
+  .option('-t, --tag <tags>', 'Key tags (repeatable or comma-separated)', collect)
   .option('-f, --file <path>', 'Path to SSH key file')
   .option('-c, --content <content>', 'SSH key content')
+  .option('-k, --private-key <path>', 'Path to the matching private key file')
+  .option('--expires <when>', 'Expiry date (2026-06-30) or time from now (90d)')
+  .option('--rotate-every <duration>', 'Rotation interval (e.g. 90d, 26w)')
   .action(async (options) => {
     const manager = new SSHKeyManager();
     await manager.addKey(options);
   });
 
+// Generate a new key pair
+program
+  .command('generate')
+  .alias('gen')
+  .description('Generate a new SSH key pair and add it to the vault')
+  .option('-y, --type <type>', 'Key type (ed25519, ecdsa, rsa)')
+  .option('-b, --bits <bits>', 'Key size (ECDSA: 256, 384, 521; RSA: 2048-16384)')
+  .option('-f, --file <name>', 'Private key file name (default: id_<type>)')
+  .option('-d, --dir <path>', 'Directory to write the key files to (default: SSH directory)')
+  .option('-n, --name <name>', 'Key name in the vault')
+  .option('-t, --tag <tags>', 'Key tags (repeatable or comma-separated)', collect)
+  .option('-C, --comment <comment>', 'Key comment')
+  .option('-N, --passphrase <passphrase>', 'Passphrase to protect the private key')
+  .option('--expires <when>', 'Expiry date (2026-06-30) or time from now (90d)')
+  .option('--rotate-every <duration>', 'Rotation interval (e.g. 90d, 26w)')
+  .option('--force', 'Overwrite existing key files')
+  .action(async (options) => {
+    const manager = new SSHKeyManager();
+    await manager.generateKey(options);
+  });
+
 // Edit a key
 program
   .command('edit')
   .alias('e')
   .description('Edit an existing SSH key')
-  .argument('<id>', 'Key ID')
+  .argument('<key>', 'Key ID, ID prefix, name, fingerprint or list number')
   .option('-n, --name <name>', 'New key name')
-  .option('-t, --tag <tag>', 'New key tag')
+  .option('-t, --tag <tags>', 'Replace the key tags (repeatable or comma-separated; "" clears them)', collect)
   .option('-c, --content <content>', 'New key content')
-  .action(async (id, options) => {
+  .option('-k, --private-key <path>', 'Attach or replace the private key from a file')
+  .option('--remove-private', 'Remove the stored private key')
+  .option('--expires <when>', 'Expiry date (2026-06-30), time from now (90d) or "none"')
+  .option('--rotate-every <duration>', 'Rotation interval (e.g. 90d) or "none"')
+  .action(async (key, options) => {
     const manager = new SSHKeyManager();
-    await manager.editKey(id, options);
+    await manager.editKey(key, options);
   });
 
 // Delete a key
 program
   .command('delete')
-  .alias('del', 'rm')
-  .description('Delete an SSH key')
-  .argument('<id>', 'Key ID')
+  .aliases(['del', 'rm'])
+  .description('Move an SSH key to the trash')
+  .argument('<key>', 'Key ID, ID prefix, name, fingerprint or list number')
   .option('-f, --force', 'Force deletion without confirmation')
-  .action(async (id, options) => {
+  .option('--purge', 'Delete permanently instead of moving to the trash')
+  .action(async (key, options) => {
+    const manager = new SSHKeyManager();
+    await manager.deleteKey(key, options);
+  });
+
+// Restore a deleted key
+program
+  .command('restore')
+  .description('Restore a key from the trash')
+  .argument('<key>', 'Key ID, ID prefix, name, fingerprint or trash list number')
+  .action(async (key) => {
+    const manager = new SSHKeyManager();
+    await manager.manageTrash('restore', { key });
+  });
+
+// Trash management
+const trash = program
+  .command('trash')
+  .description('List or empty the trash of deleted keys');
+
+trash
+  .command('list')
+  .alias('ls')
+  .description('List deleted keys')
+  .action(async () => {
     const manager = new SSHKeyManager();
-    await manager.deleteKey(id, options);
+    await manager.manageTrash('list');
+  });
+
+trash
+  .command('empty')
+  .description('Permanently delete the keys in the trash')
+  .option('--older-than <duration>', 'Only keys deleted longer ago than this (e.g. 30d)')
+  .option('-f, --force', 'Empty without confirmation')
+  .action(async (options) => {
+    const manager = new SSHKeyManager();
+    await manager.manageTrash('empty', options);
   });
 
 // Copy key to clipboard
@@ -69,31 +159,72 @@ program
   .command('copy')
   .alias('cp')
   .description('Copy SSH key content to clipboard')
-  .argument('<id>', 'Key ID')
-  .action(async (id) => {
+  .argument('<key>', 'Key ID, ID prefix, name, fingerprint or list number')
+  .option('--private', 'Copy the private key instead of the public key')
+  .action(async (key, options) => {
+    const manager = new SSHKeyManager();
+    await manager.copyKey(key, options);
+  });
+
+// Write a key to disk
+program
+  .command('write')
+  .description('Write a stored key to disk as key files, optionally with a ~/.ssh/config Host entry')
+  .argument('<key>', 'Key ID, ID prefix, name, fingerprint or list number')
+  .option('--to <dir>', 'Directory to write to (default: the default SSH directory)')
+  .option('-n, --name <file>', 'File name of the private key; the public key gets .pub added (default: from the source file or key name)')
+  .option('--no-private', 'Only write the public key')
+  .option('--ssh-config [file]', 'Add a Host entry for the key to ~/.ssh/config, or to the given file')
+  .option('--host <alias>', 'Host alias of the --ssh-config entry (default: from the key name)')
+  .option('-f, --force', 'Overwrite files and Host entries that differ')
+  .action(async (key, options) => {
     const manager = new SSHKeyManager();
-    await manager.copyKey(id);
+    await manager.writeKey(key, options);
   });
 
 // Scan for keys
 program
   .command('scan')
   .alias('s')
-  .description('Scan common SSH key locations')
-  .option('-p, --path <path>', 'Custom path to scan')
+  .description('Scan common SSH key locations, or the given paths, for keys')
+  .option('-p, --path <path>', 'File or directory to scan instead of the common locations (repeatable)', collect)
+  .option('-r, --recursive', 'Also scan subdirectories')
+  .option('--max-depth <levels>', 'How many directory levels to descend (implies --recursive; default 5)')
+  .option('--include <glob>', 'Only read files matching this glob (repeatable)', collect)
+  .option('--exclude <glob>', 'Skip files and directories matching this glob (repeatable)', collect)
+  .option('--import', 'Import the keys that are not in the vault yet')
   .action(async (options) => {
     const manager = new SSHKeyManager();
     await manager.scanKeys(options);
   });
 
+// Compare the vault with the key files on disk
+program
+  .command('sync')
+  .description('Report keys whose source file changed or disappeared, and key files not in the vault')
+  .option('-p, --path <path>', 'Where to look for new key files instead of the common locations (repeatable)', collect)
+  .option('-r, --recursive', 'Also look in subdirectories')
+  .option('--max-depth <levels>', 'How many directory levels to descend (implies --recursive; default 5)')
+  .option('--include <glob>', 'Only read files matching this glob (repeatable)', collect)
+  .option('--exclude <glob>', 'Skip files and directories matching this glob (repeatable)', collect)
+  .option('--refresh', 'Update keys whose source file changed')
+  .option('--import', 'Import the key files that are not in the vault')
+  .action(async (options) => {
+    const manager = new SSHKeyManager();
+    await manager.syncKeys(options);
+  });
+
 // Import keys
 program
   .command('import')
   .alias('imp')
-  .description('Import SSH keys from file or directory')
+  .description('Import SSH keys from an export, an authorized_keys file or a directory')
   .option('-f, --file <path>', 'Path to SSH key file')
   .option('-d, --directory <path>', 'Directory to scan for keys')
   .option('-p, --password <password>', 'Password for encrypted import')
+  .option('--input-format <format>', 'Format of --file: json, authorized_keys, ppk or rfc4716 (detected by default)')
+  .option('--on-conflict <strategy>', 'For keys already in the vault (same fingerprint): skip, rename, overwrite or merge', 'skip')
+  .option('--dry-run', 'Show what would be added, skipped or updated without writing anything')
   .action(async (options) => {
     const manager = new SSHKeyManager();
     await manager.importKeys(options);
@@ -103,14 +234,21 @@ program
 program
   .command('export')
   .alias('exp')
-  .description('Export SSH keys to file')
+  .description('Export SSH keys to a file or to one file per key')
+  .argument('[query...]', 'Only export keys matching a query (same syntax as list)')
   .option('-f, --file <path>', 'Output file path')
+  .option('-d, --dir <path>', 'Write one file per key into this directory, named after the key')
   .option('-a, --all', 'Export all keys')
-  .option('-i, --id <id>', 'Export specific key by ID')
-  .option('-p, --password <password>', 'Password for encrypted export')
-  .action(async (options) => {
+  .option('-i, --id <key>', 'Export a single key (ID, ID prefix, name, fingerprint or list number)')
+  .option('-t, --tag <tags>', 'Only export keys with this tag (repeatable or comma-separated; matches any)', collect)
+  .option('--all-tags', 'Only export keys that have every --tag')
+  .option('-e, --export-format <format>', 'json, authorized_keys, rfc4716, pkcs8-pem, csv, yaml or ssh-config (default: json)')
+  .option('-p, --password <password>', 'Password for encrypted export (json only)')
+  .option('--include-private', 'Include stored private keys in the export')
+  .option('--force', 'Overwrite an existing --file or files in --dir that differ')
+  .action(async (query, options) => {
     const manager = new SSHKeyManager();
-    await manager.exportKeys(options);
+    await manager.exportKeys({ ...options, query: query.join(' ') });
   });
 
 // Show key details
@@ -118,10 +256,11 @@ program
   .command('show')
   .alias('info')
   .description('Show detailed information about a key')
-  .argument('<id>', 'Key ID')
-  .action(async (id) => {
+  .argument('<key>', 'Key ID, ID prefix, name, fingerprint or list number')
+  .option('--private', 'Also print the stored private key')
+  .action(async (key, options) => {
     const manager = new SSHKeyManager();
-    await manager.showKey(id);
+    await manager.showKey(key, options);
   });
 
 // Settings
@@ -132,13 +271,190 @@ program
   .option('-s, --show', 'Show current configuration')
   .option('-p, --path <path>', 'Set custom keys file path')
   .option('-r, --reset', 'Reset to default configuration')
-  .option('--set-password <password>', 'Set encryption password')
-  .option('--clear-password', 'Clear encryption password')
+  .option('--set-password', 'Protect the vault with a password (prompted, or read from SSH_KIM_NEW_PASSWORD)')
+  .option('--change-password', 'Re-encrypt the vault with a new password')
+  .option('--clear-password', 'Re-encrypt the vault with the machine-specific key')
+  .option('--session-ttl <duration>', 'Default unlock session length (e.g. 15m, 1h)')
+  .option('--kdf <name>', 'Key derivation function for the vault (scrypt, pbkdf2)')
+  .option('--kdf-cost <cost>', 'KDF cost (scrypt: log2 N, pbkdf2: iterations)')
+  .option('--backups <count>', 'Number of vault backups to keep (0 disables backups)')
+  .option('--rotate-every <duration>', 'Default rotation interval for keys in this vault (e.g. 180d; "none" clears)')
+  .option('--expiry-warning <duration>', 'How long before their due date keys are shown as expiring (default 30d)')
+  .option('--audit-max-age <duration>', 'Age at which audit flags a key as stale (e.g. 365d, 26w; 0 disables)')
   .action(async (options) => {
     const manager = new SSHKeyManager();
     await manager.manageConfig(options);
   });
 
+// Keys due for rotation
+program
+  .command('due')
+  .description('List keys that have expired or are due for rotation soon')
+  .option('-w, --within <duration>', 'Look ahead this far (e.g. 30d; default from config)')
+  .option('--exit-code', 'Exit with code 7 if any key is due (for cron jobs)')
+  .action(async (options) => {
+    const manager = new SSHKeyManager();
+    await manager.dueKeys(options);
+  });
+
+// Security audit
+program
+  .command('audit')
+  .description('Check the stored keys for weak algorithms, duplicates, stale, untagged and malformed keys')
+  .option('--max-age <duration>', 'Flag keys older than this (e.g. 180d; default from config, 0 disables)')
+  .option('--fail-on <severity>', 'Exit with code 7 if any finding is at or above this severity (low, medium, high, critical)')
+  .action(async (options) => {
+    const manager = new SSHKeyManager();
+    await manager.auditVault(options);
+  });
+
+// Change log
+program
+  .command('history')
+  .description('Show the changes recorded in the vault, newest first')
+  .argument('[key]', 'Only show changes to this key (deleted keys can be named too)')
+  .option('-n, --limit <count>', 'Show at most this many changes (0 shows all)', '20')
+  .action(async (key, options) => {
+    const manager = new SSHKeyManager();
+    await manager.showHistory(key, options);
+  });
+
+program
+  .command('undo')
+  .description('Revert the most recent changes recorded in the vault history')
+  .argument('[count]', 'Number of changes to undo', '1')
+  .option('-f, --force', 'Undo without confirmation')
+  .action(async (count, options) => {
+    const manager = new SSHKeyManager();
+    await manager.undo(count, options);
+  });
+
+// Tag management
+const tag = program
+  .command('tag')
+  .description('Add or remove key tags');
+
+tag
+  .command('add')
+  .description('Add tags to a key')
+  .argument('<key>', 'Key ID, ID prefix, name, fingerprint or list number')
+  .argument('<tags...>', 'Tags to add')
+  .action(async (key, tags) => {
+    const manager = new SSHKeyManager();
+    await manager.manageTags('add', { key, tags });
+  });
+
+tag
+  .command('remove')
+  .alias('rm')
+  .description('Remove tags from a key')
+  .argument('<key>', 'Key ID, ID prefix, name, fingerprint or list number')
+  .argument('<tags...>', 'Tags to remove')
+  .action(async (key, tags) => {
+    const manager = new SSHKeyManager();
+    await manager.manageTags('remove', { key, tags });
+  });
+
+// List tags in use
+program
+  .command('tags')
+  .description('List every tag with the number of keys using it')
+  .action(async () => {
+    const manager = new SSHKeyManager();
+    await manager.manageTags('list');
+  });
+
+// Vault maintenance
+const vault = program
+  .command('vault')
+  .description('Manage the encrypted vault');
+
+vault
+  .command('rekey')
+  .description('Re-encrypt the vault with a new password or the machine key')
+  .option('--password', 'Protect the vault with a new password')
+  .option('--machine', 'Use the machine-specific key')
+  .action(async (options) => {
+    const manager = new SSHKeyManager();
+    await manager.manageVault('rekey', options);
+  });
+
+vault
+  .command('list')
+  .alias('ls')
+  .description('List vaults')
+  .action(async () => {
+    const manager = new SSHKeyManager();
+    await manager.manageVault('list');
+  });
+
+vault
+  .command('create <name>')
+  .description('Create a named vault')
+  .option('--password', 'Protect the new vault with a password')
+  .option('-p, --path <path>', 'Store the vault at a custom path (an existing vault file is adopted)')
+  .option('-u, --use', 'Make it the current vault')
+  .action(async (name, options) => {
+    const manager = new SSHKeyManager();
+    await manager.manageVault('create', { ...options, name });
+  });
+
+vault
+  .command('use <name>')
+  .description('Switch the current vault')
+  .action(async (name) => {
+    const manager = new SSHKeyManager();
+    await manager.manageVault('use', { name });
+  });
+
+vault
+  .command('remove <name>')
+  .alias('rm')
+  .description('Remove a vault and delete its file')
+  .option('-f, --force', 'Skip confirmation')
+  .option('--keep-file', 'Keep the vault file on disk')
+  .action(async (name, options) => {
+    const manager = new SSHKeyManager();
+    await manager.manageVault('remove', { ...options, name });
+  });
+
+vault
+  .command('backups')
+  .description('List vault backups, newest first')
+  .action(async () => {
+    const manager = new SSHKeyManager();
+    await manager.manageVault('backups');
+  });
+
+vault
+  .command('restore [backup]')
+  .description('Restore the vault from a backup (number from "vault backups", or a path; default newest)')
+  .option('-f, --force', 'Skip confirmation')
+  .action(async (backup, options) => {
+    const manager = new SSHKeyManager();
+    await manager.manageVault('restore', { ...options, backup });
+  });
+
+// Unlock the vault for a limited time
+program
+  .command('unlock')
+  .description('Unlock a password-protected vault for a limited time')
+  .option('--ttl <duration>', 'Session length (e.g. 15m, 1h; default from config)')
+  .action(async (options) => {
+    const manager = new SSHKeyManager();
+    await manager.unlockVault(options);
+  });
+
+// Lock the vault
+program
+  .command('lock')
+  .description('End the unlock session for the vault')
+  .option('-a, --all', 'End unlock sessions for all vaults')
+  .action(async (options) => {
+    const manager = new SSHKeyManager();
+    await manager.lockVault(options);
+  });
+
 // Interactive mode
 program
   .command('interactive')
@@ -156,4 +472,26 @@ program
     await manager.listKeys({});
   });
 
-program.parse(); 
\ No newline at end of file
+// Report a failed command on stderr and choose the exit code
+function handleError(error) {
+  if (error instanceof CommanderError) {
+    // Commander has already printed help, the version or a usage message
+    process.exitCode = error.exitCode === 0 ? EXIT_CODES.SUCCESS : EXIT_CODES.USAGE;
+    return;
+  }
+
+  if (isMachineOutput()) {
+    console.error(JSON.stringify({ error: toErrorRecord(error) }));
+  } else if (error instanceof CancelledError) {
+    console.error(chalk.yellow(`${error.message}.`));
+  } else {
+    console.error(chalk.red('Error:'), error.message);
+  }
+  process.exitCode = getExitCode(error);
+}
+
+try {
+  await program.parseAsync();
+} catch (error) {
+  handleError(error);
+} 
\ No newline at end of file
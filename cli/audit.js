@@ -0,0 +1,74 @@
+import { tryParsePublicKey } from './key-parser.js';
+import { UsageError } from './errors.js';
+import { formatDuration } from './duration.js';
+
+// Severities from least to most serious
+export const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+// RSA keys shorter than this are flagged; NIST and OpenSSH guidance moved past 2048 bits
+const MIN_RSA_BITS = 3072;
+const WEAK_RSA_BITS = 2048;
+
+export function severityRank(severity) {
+  const rank = SEVERITIES.indexOf(String(severity).toLowerCase());
+  if (rank === -1) {
+    throw new UsageError(`Unknown severity "${severity}". Use one of: ${SEVERITIES.join(', ')}`);
+  }
+  return rank;
+}
+
+// Check the stored keys and return findings, most severe first
+export function auditKeys(keys, { maxAgeMs, now = Date.now() } = {}) {
+  const findings = [];
+  const flag = (key, severity, check, message) => {
+    findings.push({ severity, check, key_id: key.id, key_name: key.name, message });
+  };
+
+  const byFingerprint = new Map();
+  for (const key of keys) {
+    const parsed = tryParsePublicKey(key.key);
+    if (!parsed || key.key_type === 'Unknown') {
+      flag(key, 'high', 'malformed', 'Key content is not a valid SSH public key');
+      continue;
+    }
+
+    if (parsed.keyType === 'DSA') {
+      flag(key, 'high', 'deprecated-algorithm', 'DSA keys are deprecated and disabled by default since OpenSSH 7.0');
+    } else if (parsed.keyType === 'RSA' && parsed.bits < WEAK_RSA_BITS) {
+      flag(key, 'high', 'deprecated-algorithm', `RSA key is only ${parsed.bits} bits`);
+    } else if (parsed.keyType === 'RSA' && parsed.bits < MIN_RSA_BITS) {
+      flag(key, 'medium', 'deprecated-algorithm', `RSA key is ${parsed.bits} bits; use at least ${MIN_RSA_BITS} or Ed25519`);
+    }
+
+    const sameMaterial = byFingerprint.get(parsed.fingerprint) || [];
+    sameMaterial.push(key);
+    byFingerprint.set(parsed.fingerprint, sameMaterial);
+
+    const created = Date.parse(key.created);
+    if (maxAgeMs && !Number.isNaN(created) && now - created > maxAgeMs) {
+      flag(key, 'low', 'stale', `Created ${formatDuration(now - created)} ago (limit ${formatDuration(maxAgeMs)})`);
+    }
+    if (!key.tags || key.tags.length === 0) {
+      flag(key, 'low', 'untagged', 'Key has no tags');
+    }
+    if (!parsed.comment && !key.comment) {
+      flag(key, 'low', 'no-owner', 'Key has no comment naming its owner');
+    }
+  }
+
+  for (const group of byFingerprint.values()) {
+    if (group.length > 1) {
+      for (const key of group) {
+        const others = group.filter(other => other !== key).map(other => `"${other.name}"`).join(', ');
+        flag(key, 'medium', 'duplicate', `Same key material as ${others}`);
+      }
+    }
+  }
+
+  return findings.sort((a, b) => severityRank(b.severity) - severityRank(a.severity));
+}
+
+// Number of findings per severity
+export function summarizeFindings(findings) {
+  return Object.fromEntries(SEVERITIES.map(severity => [severity, findings.filter(finding => finding.severity === severity).length]));
+}
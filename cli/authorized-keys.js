@@ -0,0 +1,98 @@
+import { KEY_ALGORITHMS, parsePublicKey } from './key-parser.js';
+
+// Options sshd accepts in front of a key (see AUTHORIZED_KEYS FILE FORMAT in sshd(8))
+const KNOWN_OPTIONS = [
+  'agent-forwarding', 'cert-authority', 'command', 'environment', 'expiry-time', 'from',
+  'no-agent-forwarding', 'no-port-forwarding', 'no-pty', 'no-touch-required', 'no-user-rc',
+  'no-x11-forwarding', 'permitlisten', 'permitopen', 'port-forwarding', 'principals', 'pty',
+  'restrict', 'tunnel', 'user-rc', 'verify-required', 'x11-forwarding'
+];
+
+// Split a line into its options prefix and the key that follows; quoted option values may contain spaces
+function splitOptionsPrefix(line) {
+  let inQuotes = false;
+  for (let index = 0; index < line.length; index++) {
+    const char = line[index];
+    if (char === '\\' && inQuotes) {
+      index++;
+    } else if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (/\s/.test(char) && !inQuotes) {
+      return { optionsText: line.slice(0, index), keyText: line.slice(index).trim() };
+    }
+  }
+  if (inQuotes) {
+    throw new Error('Unterminated quote in key options');
+  }
+  return { optionsText: line, keyText: '' };
+}
+
+// Split an options prefix such as `from="10.0.0.0/8",no-pty` into the individual options, kept verbatim
+export function parseKeyOptions(text) {
+  const options = [];
+  let current = '';
+  let inQuotes = false;
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (char === '\\' && inQuotes) {
+      current += char + (text[index + 1] || '');
+      index++;
+      continue;
+    }
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    }
+    if (char === ',' && !inQuotes) {
+      options.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  options.push(current);
+
+  for (const option of options) {
+    const name = option.split('=')[0].toLowerCase();
+    if (!KNOWN_OPTIONS.includes(name)) {
+      throw new Error(option ? `Unknown key option "${name}"` : 'Empty key option');
+    }
+  }
+  return options;
+}
+
+// Parse one authorized_keys line into its options and public key
+export function parseAuthorizedKeyLine(line) {
+  const text = line.trim();
+  const firstToken = text.split(/\s+/)[0];
+  if (KEY_ALGORITHMS[firstToken]) {
+    return { options: [], parsed: parsePublicKey(text) };
+  }
+
+  const { optionsText, keyText } = splitOptionsPrefix(text);
+  if (!keyText) {
+    throw new Error(`Unsupported key algorithm "${firstToken}"`);
+  }
+  return { options: parseKeyOptions(optionsText), parsed: parsePublicKey(keyText) };
+}
+
+// Parse an authorized_keys or .keys file: one key per line, blank lines and # comments ignored.
+// Lines that fail to parse are returned as errors so the rest of the file can still be used.
+export function parseAuthorizedKeys(content) {
+  const entries = [];
+  const errors = [];
+  content.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) return;
+    try {
+      entries.push({ line: index + 1, ...parseAuthorizedKeyLine(line) });
+    } catch (error) {
+      errors.push({ line: index + 1, message: error.message });
+    }
+  });
+  return { entries, errors };
+}
+
+// Vault name for a key read from a multi-key file: its comment, or the file name and line number
+export function getAuthorizedKeyName(entry, fileName) {
+  return entry.parsed.comment || `${fileName}:${entry.line}`;
+}
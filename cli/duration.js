@@ -0,0 +1,32 @@
+import { UsageError } from './errors.js';
+
+// Milliseconds per duration unit
+const UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+// Parse durations like "90s", "15m", "12h", "30d" or "2w" into milliseconds
+export function parseDuration(value, defaultUnit = 's') {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([smhdw])?$/i);
+  if (!match) {
+    throw new UsageError(`Invalid duration "${value}". Use a number followed by s, m, h, d or w (e.g. 15m, 30d)`);
+  }
+
+  const unit = (match[2] || defaultUnit).toLowerCase();
+  return Math.round(parseFloat(match[1]) * UNITS[unit]);
+}
+
+// Format milliseconds as a short human readable duration
+export function formatDuration(ms) {
+  const abs = Math.abs(ms);
+  for (const [unit, size] of [['d', UNITS.d], ['h', UNITS.h], ['m', UNITS.m]]) {
+    if (abs >= size) {
+      return `${Math.floor(abs / size)}${unit}`;
+    }
+  }
+  return `${Math.floor(abs / UNITS.s)}s`;
+}
@@ -0,0 +1,101 @@
+// Process exit codes; documented in the README so scripts can rely on them
+export const EXIT_CODES = {
+  SUCCESS: 0,
+  GENERAL: 1,
+  USAGE: 2,
+  NOT_FOUND: 3,
+  INVALID_KEY: 4,
+  DECRYPT_FAILED: 5,
+  CONFLICT: 6,
+  CHECK_FAILED: 7,
+  CANCELLED: 130
+};
+
+// Base class for errors the CLI reports with a specific code and exit status
+export class SSHKimError extends Error {
+  constructor(message, { code = 'GENERAL', exitCode = EXIT_CODES.GENERAL, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.exitCode = exitCode;
+  }
+}
+
+// Invalid arguments or option values
+export class UsageError extends SSHKimError {
+  constructor(message, options = {}) {
+    super(message, { code: 'USAGE', exitCode: EXIT_CODES.USAGE, ...options });
+  }
+}
+
+// A key reference that matches more than one key
+export class AmbiguousReferenceError extends UsageError {
+  constructor(message, candidates = [], options = {}) {
+    super(message, { code: 'AMBIGUOUS', ...options });
+    this.candidates = candidates;
+  }
+}
+
+// A key, vault or backup that doesn't exist
+export class NotFoundError extends SSHKimError {
+  constructor(message, options = {}) {
+    super(message, { code: 'NOT_FOUND', exitCode: EXIT_CODES.NOT_FOUND, ...options });
+  }
+}
+
+// Key material that can't be parsed or doesn't fit together
+export class InvalidKeyError extends SSHKimError {
+  constructor(message, options = {}) {
+    super(message, { code: 'INVALID_KEY', exitCode: EXIT_CODES.INVALID_KEY, ...options });
+  }
+}
+
+// The vault (or an encrypted export) could not be decrypted or read
+export class DecryptError extends SSHKimError {
+  constructor(message, options = {}) {
+    super(message, { code: 'DECRYPT_FAILED', exitCode: EXIT_CODES.DECRYPT_FAILED, ...options });
+  }
+}
+
+// No password or unlock session is available for a password-protected vault
+export class VaultLockedError extends DecryptError {
+  constructor(message, options = {}) {
+    super(message, { code: 'VAULT_LOCKED', ...options });
+  }
+}
+
+// Something already exists, or another process holds the vault
+export class ConflictError extends SSHKimError {
+  constructor(message, options = {}) {
+    super(message, { code: 'CONFLICT', exitCode: EXIT_CODES.CONFLICT, ...options });
+  }
+}
+
+// A report (such as audit) found problems at or above the requested threshold
+export class CheckFailedError extends SSHKimError {
+  constructor(message, options = {}) {
+    super(message, { code: 'CHECK_FAILED', exitCode: EXIT_CODES.CHECK_FAILED, ...options });
+  }
+}
+
+// The user declined a confirmation prompt
+export class CancelledError extends SSHKimError {
+  constructor(message = 'Cancelled', options = {}) {
+    super(message, { code: 'CANCELLED', exitCode: EXIT_CODES.CANCELLED, ...options });
+  }
+}
+
+// Exit status for any error, typed or not
+export function getExitCode(error) {
+  return error instanceof SSHKimError ? error.exitCode : EXIT_CODES.GENERAL;
+}
+
+// Stable, serialisable description of an error for machine-readable output
+export function toErrorRecord(error) {
+  return {
+    code: error instanceof SSHKimError ? error.code : 'GENERAL',
+    message: error.message,
+    exit_code: getExitCode(error),
+    ...(error.candidates ? { candidates: error.candidates } : {})
+  };
+}
@@ -0,0 +1,85 @@
+import { UsageError } from './errors.js';
+import { parseDuration, formatDuration } from './duration.js';
+
+const DATE_ONLY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const CLEAR_VALUES = ['none', 'never', 'off', '0', ''];
+
+// Whether an option value asks to remove an expiry or rotation interval
+export function isClearValue(value) {
+  return CLEAR_VALUES.includes(String(value).trim().toLowerCase());
+}
+
+// Expiry as an ISO timestamp from a date ("2026-06-30"), timestamp or duration from now ("90d")
+export function parseExpiry(value, now = Date.now()) {
+  if (isClearValue(value)) {
+    return null;
+  }
+
+  const text = String(value).trim();
+  const dateOnly = text.match(DATE_ONLY_PATTERN);
+  if (dateOnly) {
+    return new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3])).toISOString();
+  }
+  if (/^\d+(\.\d+)?\s*[smhdw]$/i.test(text)) {
+    return new Date(now + parseDuration(text)).toISOString();
+  }
+  const time = Date.parse(text);
+  if (Number.isNaN(time)) {
+    throw new UsageError(`Invalid expiry "${value}". Use a date (2026-06-30), a duration from now (90d) or "none"`);
+  }
+  return new Date(time).toISOString();
+}
+
+// Rotation interval as stored ("90d"), or null to clear it
+export function parseRotationInterval(value) {
+  if (isClearValue(value)) {
+    return null;
+  }
+  parseDuration(value, 'd');
+  return String(value).trim();
+}
+
+// When a key is due: its expiry date or the end of its rotation interval, whichever comes first
+export function getDueDate(key, defaultRotateEvery = null) {
+  const candidates = [];
+  if (key.expires_at && !Number.isNaN(Date.parse(key.expires_at))) {
+    candidates.push({ time: Date.parse(key.expires_at), reason: 'expires' });
+  }
+
+  const interval = key.rotate_every || defaultRotateEvery;
+  const rotatedAt = Date.parse(key.rotated_at || key.created);
+  if (interval && !Number.isNaN(rotatedAt)) {
+    candidates.push({ time: rotatedAt + parseDuration(interval, 'd'), reason: 'rotation' });
+  }
+
+  if (candidates.length === 0) {
+    return null;
+  }
+  return candidates.reduce((earliest, candidate) => candidate.time < earliest.time ? candidate : earliest);
+}
+
+// Expiry state of a key: expired, expiring (due within the warning window), ok, or none
+export function getExpiryStatus(key, { defaultRotateEvery = null, warningMs = 0, now = Date.now() } = {}) {
+  const due = getDueDate(key, defaultRotateEvery);
+  if (!due) {
+    return { status: 'none', due_at: null, reason: null, remaining_ms: null };
+  }
+
+  const remaining = due.time - now;
+  return {
+    status: remaining <= 0 ? 'expired' : remaining <= warningMs ? 'expiring' : 'ok',
+    due_at: new Date(due.time).toISOString(),
+    reason: due.reason,
+    remaining_ms: remaining
+  };
+}
+
+// Short description such as "overdue by 3d" or "in 12d"
+export function describeExpiry(expiry) {
+  if (expiry.status === 'none') {
+    return '';
+  }
+  return expiry.remaining_ms <= 0
+    ? `overdue by ${formatDuration(-expiry.remaining_ms)}`
+    : `in ${formatDuration(expiry.remaining_ms)}`;
+}
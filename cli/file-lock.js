@@ -0,0 +1,86 @@
+import fs from 'fs-extra';
+import os from 'os';
+import { ConflictError } from './errors.js';
+
+const RETRY_INTERVAL_MS = 100;
+
+// Check whether a process on this host is still running
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+function readOwner(lockPath) {
+  try {
+    return fs.readJsonSync(lockPath);
+  } catch {
+    return null;
+  }
+}
+
+// Advisory lock file that serialises load-modify-save cycles between processes
+export class FileLock {
+  constructor(filePath, { timeoutMs = 10000, staleMs = 10 * 60 * 1000 } = {}) {
+    this.filePath = filePath;
+    this.lockPath = `${filePath}.lock`;
+    this.timeoutMs = timeoutMs;
+    this.staleMs = staleMs;
+    this.depth = 0;
+  }
+
+  // A lock left by a dead process on this host (or an old one from elsewhere) can be taken over
+  isStale(owner) {
+    if (owner && owner.host === os.hostname() && Number.isInteger(owner.pid)) {
+      return !isProcessAlive(owner.pid);
+    }
+    try {
+      return Date.now() - fs.statSync(this.lockPath).mtimeMs > this.staleMs;
+    } catch {
+      return true;
+    }
+  }
+
+  // Wait for the lock; nested acquires from the same manager are counted, not re-taken
+  async acquire() {
+    if (this.depth > 0) {
+      this.depth++;
+      return;
+    }
+
+    const deadline = Date.now() + this.timeoutMs;
+    const owner = JSON.stringify({ pid: process.pid, host: os.hostname(), created: new Date().toISOString() });
+
+    while (true) {
+      try {
+        fs.writeFileSync(this.lockPath, owner, { flag: 'wx', mode: 0o600 });
+        this.depth = 1;
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      const current = readOwner(this.lockPath);
+      if (this.isStale(current)) {
+        fs.removeSync(this.lockPath);
+        continue;
+      }
+      if (Date.now() >= deadline) {
+        const holder = current ? ` (pid ${current.pid} on ${current.host})` : '';
+        throw new ConflictError(`The vault is locked by another ssh-kim process${holder}. If that process is gone, remove ${this.lockPath}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, RETRY_INTERVAL_MS));
+    }
+  }
+
+  release() {
+    if (this.depth === 0) return;
+    this.depth--;
+    if (this.depth === 0) {
+      fs.removeSync(this.lockPath);
+    }
+  }
+}
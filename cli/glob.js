@@ -0,0 +1,48 @@
+import path from 'path';
+
+// Convert a shell-style glob to a regular expression. * and ? stay within one path segment,
+// ** spans directories, [abc] / [!abc] match one character and {a,b} matches either alternative.
+export function globToRegExp(pattern) {
+  let source = '';
+  let inGroup = false;
+  for (let index = 0; index < pattern.length; index++) {
+    const char = pattern[index];
+    if (char === '*' && pattern[index + 1] === '*') {
+      index++;
+      if (pattern[index + 1] === '/') {
+        index++;
+        source += '(?:.*/)?';
+      } else {
+        source += '.*';
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[' && pattern.indexOf(']', index + 2) !== -1) {
+      const end = pattern.indexOf(']', index + 2);
+      const set = pattern.slice(index + 1, end).replace(/\\/g, '\\\\');
+      source += set.startsWith('!') ? `[^${set.slice(1)}]` : `[${set}]`;
+      index = end;
+    } else if (char === '{') {
+      inGroup = true;
+      source += '(?:';
+    } else if (char === '}' && inGroup) {
+      inGroup = false;
+      source += ')';
+    } else if (char === ',' && inGroup) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|[\]{}\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, process.platform === 'win32' ? 'i' : '');
+}
+
+// Whether a relative path matches any of the globs. Like .gitignore, a pattern without a slash
+// is matched against the last path component, so "*.bak" matches at any depth.
+export function matchesGlob(relativePath, patterns) {
+  const normalized = relativePath.split(path.sep).join('/');
+  const name = normalized.split('/').pop();
+  return patterns.some(pattern => globToRegExp(pattern).test(pattern.includes('/') ? normalized : name));
+}
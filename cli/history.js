@@ -0,0 +1,109 @@
+// The decrypted vault is a document holding the keys, deleted keys and an append-only change log.
+// Vaults written before the change log existed hold a bare array of keys.
+export function parseVaultDocument(plaintext) {
+  const data = JSON.parse(plaintext);
+  if (Array.isArray(data)) {
+    return { keys: data, trash: [], history: [] };
+  }
+  return { ...data, keys: data.keys || [], trash: data.trash || [], history: data.history || [] };
+}
+
+// Fields that are bookkeeping rather than a change worth reporting
+const UNREPORTED_FIELDS = ['last_modified'];
+
+// Names of the fields that differ between two snapshots of a key
+export function changedFields(before, after) {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...fields].filter(field =>
+    !UNREPORTED_FIELDS.includes(field) &&
+    JSON.stringify((before || {})[field]) !== JSON.stringify((after || {})[field])
+  );
+}
+
+// Key material is large and rarely changes; when both snapshots hold the same value it is left out
+// of both and listed in `unchanged`, and undo takes it from the key's current state
+const MATERIAL_FIELDS = ['key', 'private_key'];
+
+// A change record for one key; snapshots are copies so later edits can't alter the log
+export function keyChange(before, after, index = null) {
+  const change = {
+    key_id: (after || before).id,
+    index,
+    before: before ? structuredClone(before) : null,
+    after: after ? structuredClone(after) : null
+  };
+
+  const unchanged = before && after ? MATERIAL_FIELDS.filter(field => before[field] && before[field] === after[field]) : [];
+  for (const field of unchanged) {
+    delete change.before[field];
+    delete change.after[field];
+  }
+  return unchanged.length > 0 ? { ...change, unchanged } : change;
+}
+
+// IDs of entries reverted by later undo entries
+export function undoneEntryIds(history) {
+  return new Set(history.filter(entry => entry.action === 'undo').flatMap(entry => entry.reverts || []));
+}
+
+// A change record for a permanently deleted key, without any copy of it
+export function purgedChange(key, index = null) {
+  return { key_id: key.id, index, before: null, after: null, redacted: true };
+}
+
+// Drop every snapshot of the given keys from the log, so purged keys can't be read or undone back.
+// Returns the number of changes that were redacted.
+export function redactKeyHistory(history, keyIds) {
+  let redacted = 0;
+  for (const entry of history) {
+    for (const change of entry.changes || []) {
+      if (keyIds.includes(change.key_id) && (change.before || change.after)) {
+        change.before = null;
+        change.after = null;
+        change.redacted = true;
+        redacted++;
+      }
+    }
+  }
+  return redacted;
+}
+
+// The most recent entries that can still be undone, newest first; purges can't be undone
+export function undoableEntries(history, count = 1) {
+  const undone = undoneEntryIds(history);
+  return history
+    .filter(entry => !['undo', 'purge'].includes(entry.action) && !undone.has(entry.id))
+    .reverse()
+    .slice(0, count);
+}
+
+// Put a key back the way it was before a change; returns the change that reverting made.
+// Snapshots with a deleted_at date belong in the trash, all others in the key list.
+export function revertKeyChange(keys, change, trash = []) {
+  const section = [keys, trash].find(list => list.some(key => key.id === change.key_id));
+  const currentIndex = section ? section.findIndex(key => key.id === change.key_id) : -1;
+  const current = section ? section[currentIndex] : null;
+  if (section) {
+    section.splice(currentIndex, 1);
+  }
+
+  // Undo runs newest first, so the current key still holds the material this change left untouched
+  const restored = change.before ? structuredClone(change.before) : null;
+  for (const field of change.unchanged || []) {
+    if (restored && current && current[field] !== undefined) {
+      restored[field] = current[field];
+    }
+  }
+
+  let index = section === keys ? currentIndex : change.index;
+  if (restored && restored.deleted_at) {
+    trash.splice(section === trash ? currentIndex : trash.length, 0, restored);
+  } else if (restored) {
+    if (section !== keys) {
+      index = index === null || index === undefined ? keys.length : Math.min(index, keys.length);
+    }
+    keys.splice(index, 0, restored);
+  }
+
+  return keyChange(current, restored, index);
+}
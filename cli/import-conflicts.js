@@ -0,0 +1,23 @@
+import { parseTags } from './tags.js';
+
+// What an import does with a key whose fingerprint is already in the vault
+export const CONFLICT_STRATEGIES = ['skip', 'rename', 'overwrite', 'merge'];
+
+const isEmpty = (value) => value === null || value === undefined || (Array.isArray(value) && value.length === 0);
+
+// Combine an existing record with an imported copy of the same key: the existing values win,
+// empty fields are filled from the import, tags are unioned and the oldest created date is kept
+export function mergeKeyRecords(existing, imported) {
+  const merged = { ...existing };
+  for (const [field, value] of Object.entries(imported)) {
+    if (isEmpty(merged[field]) && !isEmpty(value)) {
+      merged[field] = value;
+    }
+  }
+
+  merged.tags = parseTags([...(existing.tags || []), ...(imported.tags || [])]);
+  if (imported.created && (!existing.created || new Date(imported.created) < new Date(existing.created))) {
+    merged.created = imported.created;
+  }
+  return merged;
+}
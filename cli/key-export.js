@@ -0,0 +1,160 @@
+import crypto from 'crypto';
+import { parsePublicKey, SSHBufferReader } from './key-parser.js';
+import { InvalidKeyError } from './errors.js';
+
+// RFC 4716 limits header lines and body lines to 72 characters; the body is wrapped at 70 like ssh-keygen -e
+const RFC4716_HEADER_WIDTH = 72;
+const RFC4716_BODY_WIDTH = 70;
+
+const JWK_CURVES = {
+  nistp256: 'P-256',
+  nistp384: 'P-384',
+  nistp521: 'P-521'
+};
+
+// Export formats, the extension used when writing one file per key, and whether a
+// format renders each key on its own (keys it can't represent are skipped)
+export const EXPORT_FORMATS = {
+  json: { extension: '.json' },
+  authorized_keys: { extension: '.pub', perKey: toAuthorizedKeysLine, separator: '\n' },
+  rfc4716: { extension: '.rfc4716.pub', perKey: toRfc4716, separator: '\n' },
+  'pkcs8-pem': { extension: '.pem', perKey: toPkcs8Pem, separator: '\n' },
+  csv: { extension: '.csv' },
+  yaml: { extension: '.yaml' },
+  'ssh-config': { extension: '.conf', perKey: toSshConfigHost, separator: '\n\n' }
+};
+
+// Accept "authorized-keys", "PKCS8-PEM", "ssh_config" and similar spellings
+export function normalizeExportFormat(format) {
+  const wanted = String(format).toLowerCase().replace(/_/g, '-');
+  return Object.keys(EXPORT_FORMATS).find(name => name.replace(/_/g, '-') === wanted) || null;
+}
+
+function stripLeadingZeros(buffer) {
+  let start = 0;
+  while (start < buffer.length - 1 && buffer[start] === 0) start++;
+  return buffer.subarray(start);
+}
+
+// JWK for an OpenSSH public key blob, so Node can re-encode it
+function toJwk(parsed) {
+  const reader = new SSHBufferReader(parsed.blob);
+  reader.readString(); // algorithm
+
+  if (parsed.algorithm === 'ssh-rsa') {
+    const e = reader.readMpint();
+    const n = reader.readMpint();
+    return { kty: 'RSA', n: stripLeadingZeros(n).toString('base64url'), e: stripLeadingZeros(e).toString('base64url') };
+  }
+  if (parsed.algorithm.startsWith('ecdsa-sha2-')) {
+    const curve = reader.readString().toString('utf8');
+    const point = reader.readString();
+    const size = (point.length - 1) / 2;
+    return {
+      kty: 'EC',
+      crv: JWK_CURVES[curve],
+      x: point.subarray(1, 1 + size).toString('base64url'),
+      y: point.subarray(1 + size).toString('base64url')
+    };
+  }
+  if (parsed.algorithm === 'ssh-ed25519') {
+    return { kty: 'OKP', crv: 'Ed25519', x: reader.readString().toString('base64url') };
+  }
+  throw new InvalidKeyError(`${parsed.keyType} keys cannot be exported as PKCS#8`);
+}
+
+// The key as an authorized_keys line, with its options in front
+export function toAuthorizedKeysLine(key) {
+  const options = (key.key_options || []).join(',');
+  return options ? `${options} ${key.key}` : key.key;
+}
+
+// The key in the SSH2 public key file format of RFC 4716, as written by ssh-keygen -e
+export function toRfc4716(key) {
+  const parsed = parsePublicKey(key.key);
+  const lines = ['---- BEGIN SSH2 PUBLIC KEY ----'];
+
+  // Quotes and backslashes in the quoted value are escaped. Long header lines continue on the next
+  // line after a backslash, and are never split between an escaping backslash and its character.
+  const comment = (parsed.comment || key.name).replace(/[\\"]/g, '\\$&');
+  let header = `Comment: "${comment}"`;
+  while (header.length > RFC4716_HEADER_WIDTH) {
+    let cut = RFC4716_HEADER_WIDTH - 1;
+    const escapes = header.slice(0, cut).match(/\\*$/)[0].length;
+    if (escapes % 2 === 1) cut--;
+    lines.push(`${header.slice(0, cut)}\\`);
+    header = header.slice(cut);
+  }
+  lines.push(header);
+
+  lines.push(...parsed.blob.toString('base64').match(new RegExp(`.{1,${RFC4716_BODY_WIDTH}}`, 'g')));
+  lines.push('---- END SSH2 PUBLIC KEY ----');
+  return lines.join('\n');
+}
+
+// The public key as a PEM SubjectPublicKeyInfo, as written by ssh-keygen -e -m PKCS8
+export function toPkcs8Pem(key) {
+  const jwk = toJwk(parsePublicKey(key.key));
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' }).export({ type: 'spki', format: 'pem' }).trim();
+}
+
+// Host alias for a key name: ssh_config patterns can't contain spaces, wildcards or commas
+export function toHostAlias(name) {
+  return String(name).trim().replace(/[^A-Za-z0-9._@-]+/g, '-').replace(/^-+|-+$/g, '') || 'key';
+}
+
+// An ssh_config Host block using the key's private key file; options.host and options.identityFile
+// override the alias and file derived from the key
+export function toSshConfigHost(key, options = {}) {
+  const identityFile = options.identityFile ||
+    (key.source_path ? key.source_path.replace(/\.pub$/, '') : `~/.ssh/${toHostAlias(key.name)}`);
+  return [
+    `Host ${options.host || toHostAlias(key.name)}`,
+    `  # ${key.key_type} ${key.fingerprint}`,
+    `  IdentityFile ${/\s/.test(identityFile) ? `"${identityFile}"` : identityFile}`,
+    '  IdentitiesOnly yes'
+  ].join('\n');
+}
+
+function toCsvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = Array.isArray(value) ? value.join(',') : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Records as RFC 4180 CSV with a header row
+export function toCsv(records, columns) {
+  return [columns.join(','), ...records.map(record => columns.map(column => toCsvField(record[column])).join(','))].join('\r\n');
+}
+
+function toYamlScalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  if (Array.isArray(value)) return '[]';
+  if (typeof value === 'object') return '{}';
+  // JSON string escapes are valid in YAML double-quoted scalars
+  return JSON.stringify(value);
+}
+
+function isYamlScalar(value) {
+  return value === null || typeof value !== 'object' || Object.keys(value).length === 0;
+}
+
+function toYamlLines(value, indent) {
+  if (Array.isArray(value)) {
+    return value.flatMap(item => {
+      if (isYamlScalar(item)) return [`${indent}- ${toYamlScalar(item)}`];
+      const lines = toYamlLines(item, `${indent}  `);
+      lines[0] = `${indent}- ${lines[0].trimStart()}`;
+      return lines;
+    });
+  }
+  return Object.entries(value).filter(([, item]) => item !== undefined).flatMap(([name, item]) =>
+    isYamlScalar(item) ? [`${indent}${name}: ${toYamlScalar(item)}`] : [`${indent}${name}:`, ...toYamlLines(item, `${indent}  `)]
+  );
+}
+
+// A plain object as block-style YAML
+export function toYaml(value) {
+  return toYamlLines(value, '').join('\n');
+}
@@ -0,0 +1,215 @@
+import crypto from 'crypto';
+import { SSHBufferReader, encodeString } from './key-parser.js';
+import { toOpenSSHPrivateKey } from './key-generator.js';
+
+// Key file formats that are converted to OpenSSH when stored, with display labels
+export const FOREIGN_KEY_FORMATS = {
+  'ppk-v2': 'PuTTY PPK v2',
+  'ppk-v3': 'PuTTY PPK v3',
+  rfc4716: 'RFC 4716 SSH2 public key'
+};
+
+const RFC4716_BLOCK_PATTERN = /---- BEGIN SSH2 PUBLIC KEY ----([\s\S]*?)---- END SSH2 PUBLIC KEY ----/g;
+const PUTTY_HEADER_PATTERN = /^PuTTY-User-Key-File-(\d+):\s*(\S+)/;
+const PUTTY_MAC_KEY_V2 = 'putty-private-key-file-mac-key';
+
+const EC_CURVES = {
+  nistp256: { crv: 'P-256', size: 32 },
+  nistp384: { crv: 'P-384', size: 48 },
+  nistp521: { crv: 'P-521', size: 66 }
+};
+
+export function isRfc4716(content) {
+  return typeof content === 'string' && content.includes('---- BEGIN SSH2 PUBLIC KEY ----');
+}
+
+export function isPuttyKey(content) {
+  return typeof content === 'string' && PUTTY_HEADER_PATTERN.test(content.trimStart());
+}
+
+// Read the Header: value lines of an RFC 4716 block; a trailing backslash continues a header
+function parseRfc4716Headers(lines) {
+  const headers = {};
+  while (lines.length > 0 && lines[0].includes(':')) {
+    let line = lines.shift();
+    while (line.endsWith('\\') && lines.length > 0) {
+      line = line.slice(0, -1) + lines.shift();
+    }
+    const separator = line.indexOf(':');
+    headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+  }
+  return headers;
+}
+
+// Every SSH2 public key block in the content, as OpenSSH one-line keys along with the block's text
+export function parseRfc4716(content) {
+  const keys = [];
+  for (const [block, body] of content.matchAll(RFC4716_BLOCK_PATTERN)) {
+    const lines = body.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    const headers = parseRfc4716Headers(lines);
+    const base64 = lines.join('');
+    if (!base64) {
+      throw new Error('SSH2 public key block has no key data');
+    }
+
+    const algorithm = new SSHBufferReader(Buffer.from(base64, 'base64')).readString().toString('utf8');
+    const comment = (headers.comment || '').replace(/^"(.*)"$/, (match, quoted) => quoted.replace(/\\(.)/g, '$1'));
+    keys.push({ publicKey: [algorithm, base64, comment].filter(Boolean).join(' '), comment, headers, block });
+  }
+  return keys;
+}
+
+// Header fields and base64 sections (Public-Lines, Private-Lines) of a PuTTY key file
+function readPuttyFields(content) {
+  const lines = content.trim().split(/\r?\n/);
+  const fields = {};
+  for (let index = 0; index < lines.length; index++) {
+    const separator = lines[index].indexOf(':');
+    if (separator === -1) {
+      throw new Error(`Unexpected line ${index + 1} in PuTTY key file`);
+    }
+    const name = lines[index].slice(0, separator).trim();
+    const value = lines[index].slice(separator + 1).trim();
+    if (/-Lines$/.test(name)) {
+      const count = parseInt(value, 10);
+      fields[name.replace(/-Lines$/, '')] = Buffer.from(lines.slice(index + 1, index + 1 + count).join(''), 'base64');
+      index += count;
+    } else {
+      fields[name] = value;
+    }
+  }
+  return fields;
+}
+
+const toBigInt = (buffer) => BigInt(`0x${buffer.toString('hex') || '0'}`);
+
+function fromBigInt(value) {
+  const hex = value.toString(16);
+  return Buffer.from(hex.length % 2 ? `0${hex}` : hex, 'hex');
+}
+
+function unsigned(buffer, size = 0) {
+  let start = 0;
+  while (start < buffer.length - 1 && buffer[start] === 0) start++;
+  const value = buffer.subarray(start);
+  return size > value.length ? Buffer.concat([Buffer.alloc(size - value.length), value]) : value;
+}
+
+// JWK private key from PuTTY's public and private blobs; DSA has no JWK form and returns null
+function puttyPrivateJwk(algorithm, publicBlob, privateBlob) {
+  const pub = new SSHBufferReader(publicBlob);
+  const priv = new SSHBufferReader(privateBlob);
+  pub.readString(); // algorithm
+
+  if (algorithm === 'ssh-rsa') {
+    const e = pub.readMpint();
+    const n = pub.readMpint();
+    const [d, p, q, iqmp] = [priv.readMpint(), priv.readMpint(), priv.readMpint(), priv.readMpint()];
+    const dValue = toBigInt(d);
+    return {
+      kty: 'RSA',
+      n: unsigned(n).toString('base64url'),
+      e: unsigned(e).toString('base64url'),
+      d: unsigned(d).toString('base64url'),
+      p: unsigned(p).toString('base64url'),
+      q: unsigned(q).toString('base64url'),
+      dp: fromBigInt(dValue % (toBigInt(p) - 1n)).toString('base64url'),
+      dq: fromBigInt(dValue % (toBigInt(q) - 1n)).toString('base64url'),
+      qi: unsigned(iqmp).toString('base64url')
+    };
+  }
+  if (algorithm.startsWith('ecdsa-sha2-')) {
+    const curve = EC_CURVES[pub.readString().toString('utf8')];
+    const point = pub.readString();
+    const size = (point.length - 1) / 2;
+    return {
+      kty: 'EC',
+      crv: curve.crv,
+      x: point.subarray(1, 1 + size).toString('base64url'),
+      y: point.subarray(1 + size).toString('base64url'),
+      d: unsigned(priv.readMpint(), curve.size).toString('base64url')
+    };
+  }
+  if (algorithm === 'ssh-ed25519') {
+    return {
+      kty: 'OKP',
+      crv: 'Ed25519',
+      x: pub.readString().toString('base64url'),
+      d: priv.readString().toString('base64url')
+    };
+  }
+  return null;
+}
+
+// Parse a PuTTY .ppk file (v2 or v3). The private key is converted to OpenSSH format when it is
+// not passphrase protected; privateNote says why it wasn't when privateKey is null.
+export function parsePuttyKey(content) {
+  const [, version, algorithm] = content.trimStart().match(PUTTY_HEADER_PATTERN);
+  if (version !== '2' && version !== '3') {
+    throw new Error(`Unsupported PuTTY key file version ${version}`);
+  }
+
+  const fields = readPuttyFields(content);
+  const encryption = fields.Encryption || 'none';
+  const comment = fields.Comment || '';
+  if (!fields.Public || fields.Public.length === 0) {
+    throw new Error('PuTTY key file has no public key');
+  }
+  const blobAlgorithm = new SSHBufferReader(fields.Public).readString().toString('utf8');
+  if (blobAlgorithm !== algorithm) {
+    throw new Error(`Key data is "${blobAlgorithm}" but the header says "${algorithm}"`);
+  }
+
+  const result = {
+    version: Number(version),
+    format: `ppk-v${version}`,
+    algorithm,
+    comment,
+    encrypted: encryption !== 'none',
+    publicKey: [algorithm, fields.Public.toString('base64'), comment].filter(Boolean).join(' '),
+    privateKey: null,
+    privateNote: null
+  };
+
+  if (result.encrypted) {
+    result.privateNote = 'the private key is passphrase protected';
+    return result;
+  }
+  if (!fields.Private) {
+    result.privateNote = 'the file has no private key';
+    return result;
+  }
+
+  // The MAC covers every field; unencrypted keys use a fixed (v2) or empty (v3) MAC key
+  const macData = Buffer.concat([algorithm, encryption, comment, fields.Public, fields.Private].map(encodeString));
+  const mac = version === '2'
+    ? crypto.createHmac('sha1', crypto.createHash('sha1').update(PUTTY_MAC_KEY_V2).digest()).update(macData).digest('hex')
+    : crypto.createHmac('sha256', Buffer.alloc(0)).update(macData).digest('hex');
+  if (!fields['Private-MAC'] || fields['Private-MAC'].toLowerCase() !== mac) {
+    throw new Error('PuTTY key file is corrupt (MAC does not match)');
+  }
+
+  const jwk = puttyPrivateJwk(algorithm, fields.Public, fields.Private);
+  if (!jwk) {
+    result.privateNote = `${algorithm} private keys cannot be converted`;
+    return result;
+  }
+  result.privateKey = toOpenSSHPrivateKey(crypto.createPrivateKey({ key: jwk, format: 'jwk' }), { comment });
+  return result;
+}
+
+// Convert a PuTTY or RFC 4716 key file to OpenSSH; any other content is returned with format null
+export function convertKeyContent(content) {
+  if (isPuttyKey(content)) {
+    const ppk = parsePuttyKey(content);
+    return { publicKey: ppk.publicKey, privateKey: ppk.privateKey, privateNote: ppk.privateNote, format: ppk.format };
+  }
+  if (isRfc4716(content)) {
+    const keys = parseRfc4716(content);
+    if (keys.length !== 1) {
+      throw new Error(`Expected one SSH2 public key, found ${keys.length}`);
+    }
+    return { publicKey: keys[0].publicKey, privateKey: null, privateNote: null, format: 'rfc4716' };
+  }
+  return { publicKey: content, privateKey: null, privateNote: null, format: null };
+}
@@ -0,0 +1,204 @@
+import crypto from 'crypto';
+
+// Supported OpenSSH public key algorithms and their display labels
+export const KEY_ALGORITHMS = {
+  'ssh-rsa': { label: 'RSA', display: 'RSA' },
+  'ssh-dss': { label: 'DSA', display: 'DSA' },
+  'ecdsa-sha2-nistp256': { label: 'ECDSA', display: 'ECDSA', curve: 'nistp256', bits: 256 },
+  'ecdsa-sha2-nistp384': { label: 'ECDSA', display: 'ECDSA', curve: 'nistp384', bits: 384 },
+  'ecdsa-sha2-nistp521': { label: 'ECDSA', display: 'ECDSA', curve: 'nistp521', bits: 521 },
+  'ssh-ed25519': { label: 'Ed25519', display: 'ED25519', bits: 256 },
+  'sk-ecdsa-sha2-nistp256@openssh.com': { label: 'ECDSA-SK', display: 'ECDSA-SK', curve: 'nistp256', bits: 256 },
+  'sk-ssh-ed25519@openssh.com': { label: 'Ed25519-SK', display: 'ED25519-SK', bits: 256 }
+};
+
+// Reads length-prefixed fields from an SSH wire-format buffer
+export class SSHBufferReader {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.offset = 0;
+  }
+
+  readUInt32() {
+    if (this.offset + 4 > this.buffer.length) {
+      throw new Error('Unexpected end of key data');
+    }
+    const value = this.buffer.readUInt32BE(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  readString() {
+    const length = this.readUInt32();
+    if (this.offset + length > this.buffer.length) {
+      throw new Error('Unexpected end of key data');
+    }
+    const value = this.buffer.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return value;
+  }
+
+  readMpint() {
+    return this.readString();
+  }
+
+  get remaining() {
+    return this.buffer.length - this.offset;
+  }
+}
+
+// Encode a string or buffer as an SSH length-prefixed field
+export function encodeString(value) {
+  const data = Buffer.isBuffer(value) ? value : Buffer.from(value, 'utf8');
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  return Buffer.concat([length, data]);
+}
+
+// Encode an unsigned big-endian integer as an SSH mpint
+export function encodeMpint(value) {
+  let start = 0;
+  while (start < value.length && value[start] === 0) start++;
+  let data = value.subarray(start);
+  if (data.length > 0 && (data[0] & 0x80)) {
+    data = Buffer.concat([Buffer.from([0]), data]);
+  }
+  return encodeString(data);
+}
+
+// Number of significant bits in an mpint
+function mpintBits(mpint) {
+  let start = 0;
+  while (start < mpint.length && mpint[start] === 0) start++;
+  if (start === mpint.length) return 0;
+  return (mpint.length - start - 1) * 8 + (32 - Math.clz32(mpint[start]));
+}
+
+// Decode the wire blob and verify it matches the declared algorithm
+function decodeKeyBlob(algorithm, blob) {
+  const reader = new SSHBufferReader(blob);
+  const embedded = reader.readString().toString('utf8');
+
+  if (embedded !== algorithm) {
+    throw new Error(`Key data is "${embedded}" but prefix says "${algorithm}"`);
+  }
+
+  const info = KEY_ALGORITHMS[algorithm];
+  const details = { bits: info.bits || 0, curve: info.curve || null };
+
+  switch (algorithm) {
+    case 'ssh-rsa': {
+      reader.readMpint(); // public exponent
+      details.bits = mpintBits(reader.readMpint());
+      break;
+    }
+    case 'ssh-dss': {
+      details.bits = mpintBits(reader.readMpint());
+      reader.readMpint(); // q
+      reader.readMpint(); // g
+      reader.readMpint(); // y
+      break;
+    }
+    case 'ecdsa-sha2-nistp256':
+    case 'ecdsa-sha2-nistp384':
+    case 'ecdsa-sha2-nistp521':
+    case 'sk-ecdsa-sha2-nistp256@openssh.com': {
+      const curve = reader.readString().toString('utf8');
+      if (curve !== info.curve) {
+        throw new Error(`ECDSA curve "${curve}" does not match "${algorithm}"`);
+      }
+      const point = reader.readString();
+      if (point.length === 0 || point[0] !== 0x04) {
+        throw new Error('Unsupported ECDSA point encoding');
+      }
+      if (algorithm.startsWith('sk-')) reader.readString(); // application
+      break;
+    }
+    case 'ssh-ed25519':
+    case 'sk-ssh-ed25519@openssh.com': {
+      const publicKey = reader.readString();
+      if (publicKey.length !== 32) {
+        throw new Error('Ed25519 public key must be 32 bytes');
+      }
+      if (algorithm.startsWith('sk-')) reader.readString(); // application
+      break;
+    }
+  }
+
+  if (reader.remaining !== 0) {
+    throw new Error('Unexpected trailing bytes in key data');
+  }
+
+  if (!details.bits) {
+    throw new Error('Key has an empty modulus');
+  }
+
+  return details;
+}
+
+// SHA256 fingerprint in the form printed by ssh-keygen -l
+export function sha256Fingerprint(blob) {
+  const digest = crypto.createHash('sha256').update(blob).digest('base64');
+  return 'SHA256:' + digest.replace(/=+$/, '');
+}
+
+// Legacy MD5 fingerprint in the form printed by ssh-keygen -E md5 -l
+export function md5Fingerprint(blob) {
+  const digest = crypto.createHash('md5').update(blob).digest('hex');
+  return 'MD5:' + digest.match(/../g).join(':');
+}
+
+// Parse a single-line OpenSSH public key, throwing on anything malformed
+export function parsePublicKey(keyContent) {
+  if (typeof keyContent !== 'string' || !keyContent.trim()) {
+    throw new Error('Key content is empty');
+  }
+
+  const lines = keyContent.trim().split(/\r?\n/);
+  if (lines.length > 1) {
+    throw new Error('Expected a single public key line');
+  }
+
+  const [algorithm, base64, ...commentParts] = lines[0].trim().split(/\s+/);
+
+  if (!KEY_ALGORITHMS[algorithm]) {
+    throw new Error(`Unsupported key algorithm "${algorithm}"`);
+  }
+
+  if (!base64 || !/^[A-Za-z0-9+/]+={0,2}$/.test(base64) || base64.length % 4 !== 0) {
+    throw new Error('Key data is not valid base64');
+  }
+
+  const blob = Buffer.from(base64, 'base64');
+  const details = decodeKeyBlob(algorithm, blob);
+  const comment = commentParts.join(' ');
+  const info = KEY_ALGORITHMS[algorithm];
+
+  return {
+    algorithm,
+    keyType: info.label,
+    bits: details.bits,
+    curve: details.curve,
+    comment,
+    blob,
+    fingerprint: sha256Fingerprint(blob),
+    md5: md5Fingerprint(blob),
+    normalized: [algorithm, base64, comment].filter(Boolean).join(' ')
+  };
+}
+
+// Like parsePublicKey but returns null instead of throwing
+export function tryParsePublicKey(keyContent) {
+  try {
+    return parsePublicKey(keyContent);
+  } catch {
+    return null;
+  }
+}
+
+// Format a parsed key the way ssh-keygen -l does
+export function formatFingerprint(parsed, hash = 'sha256') {
+  const fingerprint = hash === 'md5' ? parsed.md5 : parsed.fingerprint;
+  const display = KEY_ALGORITHMS[parsed.algorithm].display;
+  return `${parsed.bits} ${fingerprint} ${parsed.comment || 'no comment'} (${display})`;
+}
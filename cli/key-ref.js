@@ -0,0 +1,62 @@
+import { tryParsePublicKey } from './key-parser.js';
+
+const FINGERPRINT_PATTERN = /^(SHA256|MD5):/i;
+const INDEX_PATTERN = /^#?(\d+)$/;
+
+// Find the keys a user-supplied reference can mean, trying the most specific rules first:
+// exact ID, list index (#3 or 3), fingerprint, exact name, case-insensitive name, ID prefix
+export function findKeyMatches(keys, ref) {
+  const value = String(ref || '').trim();
+  if (!value) {
+    return { by: null, matches: [] };
+  }
+
+  const indexesWhere = (predicate) => keys.reduce((found, key, index) => {
+    if (predicate(key)) found.push(index);
+    return found;
+  }, []);
+
+  const exactId = indexesWhere(key => key.id === value);
+  if (exactId.length > 0) {
+    return { by: 'id', matches: exactId };
+  }
+
+  const indexMatch = value.match(INDEX_PATTERN);
+  if (indexMatch) {
+    const position = parseInt(indexMatch[1], 10);
+    if (position >= 1 && position <= keys.length) {
+      return { by: 'index', matches: [position - 1] };
+    }
+  }
+
+  if (FINGERPRINT_PATTERN.test(value)) {
+    const isMd5 = /^MD5:/i.test(value);
+    const wanted = isMd5 ? value.toLowerCase() : `SHA256:${value.slice(7)}`;
+    return {
+      by: 'fingerprint',
+      matches: indexesWhere(key => {
+        if (!isMd5) return key.fingerprint === wanted;
+        const parsed = tryParsePublicKey(key.key);
+        return Boolean(parsed) && parsed.md5.toLowerCase() === wanted;
+      })
+    };
+  }
+
+  const exactName = indexesWhere(key => key.name === value);
+  if (exactName.length > 0) {
+    return { by: 'name', matches: exactName };
+  }
+
+  const lowerValue = value.toLowerCase();
+  const looseName = indexesWhere(key => (key.name || '').toLowerCase() === lowerValue);
+  if (looseName.length > 0) {
+    return { by: 'name', matches: looseName };
+  }
+
+  return { by: 'id prefix', matches: indexesWhere(key => key.id.toLowerCase().startsWith(lowerValue)) };
+}
+
+// One-line description of a key used when listing candidates
+export function describeKeyCandidate(key, index) {
+  return `#${index + 1} ${key.name} (${key.id.slice(0, 8)}, ${key.fingerprint || key.key_type})`;
+}
@@ -0,0 +1,21 @@
+import crypto from 'crypto';
+
+// Fields compared between a stored key and the file it was read from
+const SYNC_FIELDS = ['key', 'key_type', 'bits', 'fingerprint', 'comment', 'key_options', 'original_format'];
+
+// Hash of a key file's content, stored as source_hash to notice when the file changes
+export function hashSourceContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// Fields that differ between a stored key and the fields read from its source file. The private
+// key only counts when both sides have one, as storing it is optional.
+export function getSourceChanges(key, fromDisk) {
+  const fields = SYNC_FIELDS.filter(field =>
+    JSON.stringify(key[field] ?? null) !== JSON.stringify(fromDisk[field] ?? null)
+  );
+  if (key.private_key && fromDisk.private_key && key.private_key.trim() !== fromDisk.private_key.trim()) {
+    fields.push('private_key');
+  }
+  return fields;
+}
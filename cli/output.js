@@ -0,0 +1,116 @@
+import chalk from 'chalk';
+import ora from 'ora';
+import { spawnSync } from 'child_process';
+import { UsageError } from './errors.js';
+
+export const OUTPUT_FORMATS = ['text', 'json', 'ndjson', 'tsv'];
+
+// Columns are never truncated below this width to fit the terminal
+const MIN_COLUMN_WIDTH = 8;
+const COLUMN_GAP = '  ';
+
+const originalLog = console.log;
+const originalColorLevel = chalk.level;
+let outputFormat = 'text';
+
+// Select the output format; in machine-readable formats stdout carries only results
+export function setOutputFormat(format = 'text') {
+  const normalized = String(format).toLowerCase();
+  if (!OUTPUT_FORMATS.includes(normalized)) {
+    throw new UsageError(`Unknown output format "${format}". Use one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+
+  outputFormat = normalized;
+  if (normalized === 'text') {
+    chalk.level = originalColorLevel;
+    console.log = originalLog;
+  } else {
+    // Progress and status messages become diagnostics on stderr
+    chalk.level = 0;
+    console.log = (...args) => console.error(...args);
+  }
+}
+
+export function getOutputFormat() {
+  return outputFormat;
+}
+
+export function isMachineOutput() {
+  return outputFormat !== 'text';
+}
+
+// Spinner that stays silent when stdout is not a terminal or results are machine-readable
+export function createSpinner(text) {
+  const interactive = Boolean(process.stdout.isTTY) && !isMachineOutput();
+  return ora({ text, isEnabled: interactive, isSilent: !interactive });
+}
+
+function toTsvField(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) value = value.join(',');
+  else if (typeof value === 'object') value = JSON.stringify(value);
+  return String(value).replace(/\\/g, '\\\\').replace(/\t/g, '\\t').replace(/\r?\n/g, '\\n');
+}
+
+// Render a result (object or array of objects) in a machine-readable format
+export function formatResult(data, format = outputFormat, columns = null) {
+  const rows = Array.isArray(data) ? data : [data];
+
+  if (format === 'ndjson') {
+    return rows.map(row => JSON.stringify(row)).join('\n');
+  }
+  if (format === 'tsv') {
+    const fields = columns || [...new Set(rows.flatMap(row => Object.keys(row)))];
+    return [fields.join('\t'), ...rows.map(row => fields.map(field => toTsvField(row[field])).join('\t'))].join('\n');
+  }
+  return JSON.stringify(data, null, 2);
+}
+
+// Write a result to stdout in the selected format
+export function printResult(data, columns = null) {
+  const text = formatResult(data, outputFormat, columns);
+  if (text) {
+    process.stdout.write(`${text}\n`);
+  }
+}
+
+// Render rows of plain strings as aligned columns, truncating the widest ones to fit maxWidth;
+// cells are styled by the column's color, or by rowColor(rowIndex) when it depends on the row
+export function formatTable(rows, columns, maxWidth = null) {
+  const widths = columns.map((column, index) => Math.max(column.header.length, ...rows.map(row => row[index].length)));
+  if (maxWidth) {
+    while (widths.reduce((sum, width) => sum + width, 0) + COLUMN_GAP.length * (columns.length - 1) > maxWidth) {
+      const widest = widths.indexOf(Math.max(...widths));
+      if (widths[widest] <= MIN_COLUMN_WIDTH) break;
+      widths[widest]--;
+    }
+  }
+
+  const renderRow = (cells, style) => cells.map((cell, index) => {
+    const width = widths[index];
+    const text = cell.length > width ? `${cell.slice(0, width - 1)}…` : cell;
+    const padded = columns[index].align === 'right' ? text.padStart(width) : index === cells.length - 1 ? text : text.padEnd(width);
+    return style(index, padded);
+  }).join(COLUMN_GAP);
+
+  return [
+    renderRow(columns.map(column => column.header), (index, text) => chalk.bold(text)),
+    ...rows.map((row, rowIndex) => renderRow(row, (index, text) => {
+      const color = columns[index].rowColor ? columns[index].rowColor(rowIndex) : columns[index].color;
+      return color ? color(text) : text;
+    }))
+  ].join('\n');
+}
+
+// Print text, through $PAGER (default "less -FRX") when it is taller than the terminal
+export function printPaged(text, { pager = true } = {}) {
+  const height = process.stdout.rows;
+  if (pager && process.stdout.isTTY && height && text.split('\n').length >= height) {
+    const command = process.env.PAGER || (process.platform === 'win32' ? 'more' : 'less -FRX');
+    const result = spawnSync(command, { input: `${text}\n`, stdio: ['pipe', 'inherit', 'inherit'], shell: true });
+    if (!result.error && result.status === 0) {
+      return;
+    }
+  }
+  console.log(text);
+}
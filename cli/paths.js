@@ -0,0 +1,34 @@
+import path from 'path';
+import os from 'os';
+
+// SSH_KIM_HOME keeps config, vaults and sessions in one directory (useful for tests and CI)
+export function getHomeOverride() {
+  return process.env.SSH_KIM_HOME ? path.resolve(process.env.SSH_KIM_HOME) : null;
+}
+
+// Per-user data directory: $XDG_DATA_HOME/ssh-kim, or %LOCALAPPDATA%\ssh-kim on Windows
+export function getDataDir() {
+  const home = getHomeOverride();
+  if (home) {
+    return path.join(home, 'data');
+  }
+  if (process.platform === 'win32') {
+    return path.join(process.env.LOCALAPPDATA || path.join(os.homedir(), 'AppData', 'Local'), 'ssh-kim');
+  }
+  return path.join(process.env.XDG_DATA_HOME || path.join(os.homedir(), '.local', 'share'), 'ssh-kim');
+}
+
+// Directory holding the vault files of named profiles
+export function getVaultsDir() {
+  return path.join(getDataDir(), 'vaults');
+}
+
+// Where versions before profiles kept the vault: relative to the working directory
+export function getLegacyVaultPath() {
+  return path.join(process.cwd(), 'data', 'ssh_keys.enc');
+}
+
+// Resolve a path given on the command line, expanding a leading ~ to the home directory
+export function expandHome(location) {
+  return path.resolve(String(location).replace(/^~(?=$|[\\/])/, os.homedir()));
+}
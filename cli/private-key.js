@@ -0,0 +1,158 @@
+import crypto from 'crypto';
+import { SSHBufferReader, tryParsePublicKey } from './key-parser.js';
+import { toOpenSSHPublicKey } from './key-generator.js';
+
+// Private key container formats and their display labels
+export const PRIVATE_KEY_FORMATS = {
+  openssh: 'OpenSSH',
+  pem: 'PEM',
+  pkcs8: 'PKCS#8',
+  ppk: 'PuTTY PPK'
+};
+
+const PRIVATE_KEY_PATTERN = /-----BEGIN ([A-Z0-9 ]*PRIVATE KEY)-----[\s\S]*?-----END \1-----/;
+const OPENSSH_MAGIC = Buffer.from('openssh-key-v1\0', 'latin1');
+
+// Key types for traditional PEM labels, used when the public key can't be derived
+const PEM_KEY_TYPES = {
+  'RSA PRIVATE KEY': 'RSA',
+  'DSA PRIVATE KEY': 'DSA',
+  'EC PRIVATE KEY': 'ECDSA'
+};
+
+// Number of private-section fields before the comment, per algorithm
+const OPENSSH_PRIVATE_FIELDS = {
+  'ssh-rsa': 6,
+  'ssh-dss': 5,
+  'ecdsa-sha2-nistp256': 3,
+  'ecdsa-sha2-nistp384': 3,
+  'ecdsa-sha2-nistp521': 3,
+  'ssh-ed25519': 2
+};
+
+// Check whether content contains a PEM-armoured private key
+export function isPrivateKey(content) {
+  return typeof content === 'string' && PRIVATE_KEY_PATTERN.test(content);
+}
+
+function decodeArmour(pem) {
+  const body = pem
+    .split(/\r?\n/)
+    .filter(line => line && !line.startsWith('-----') && !line.includes(':'))
+    .join('');
+  return Buffer.from(body, 'base64');
+}
+
+// Read the unencrypted header and, when possible, the comment of an openssh-key-v1 key
+function parseOpenSSHPrivateKey(pem) {
+  const data = decodeArmour(pem);
+  if (!data.subarray(0, OPENSSH_MAGIC.length).equals(OPENSSH_MAGIC)) {
+    throw new Error('Invalid OpenSSH private key header');
+  }
+
+  const reader = new SSHBufferReader(data.subarray(OPENSSH_MAGIC.length));
+  const cipherName = reader.readString().toString('utf8');
+  reader.readString(); // kdf name
+  reader.readString(); // kdf options
+  const keyCount = reader.readUInt32();
+  if (keyCount !== 1) {
+    throw new Error(`Expected one key in OpenSSH private key, found ${keyCount}`);
+  }
+
+  const publicBlob = reader.readString();
+  const privateSection = reader.readString();
+  const algorithm = new SSHBufferReader(publicBlob).readString().toString('utf8');
+  const encrypted = cipherName !== 'none';
+  let comment = '';
+
+  if (!encrypted && OPENSSH_PRIVATE_FIELDS[algorithm]) {
+    const section = new SSHBufferReader(privateSection);
+    if (section.readUInt32() !== section.readUInt32()) {
+      throw new Error('Corrupt OpenSSH private key (check bytes do not match)');
+    }
+    section.readString(); // key type
+    for (let i = 0; i < OPENSSH_PRIVATE_FIELDS[algorithm]; i++) {
+      section.readString();
+    }
+    comment = section.readString().toString('utf8');
+  }
+
+  return {
+    encrypted,
+    publicKey: [algorithm, publicBlob.toString('base64'), comment].filter(Boolean).join(' ')
+  };
+}
+
+// Parse an OpenSSH, PEM or PKCS#8 private key and derive its public key when possible
+export function parsePrivateKey(content) {
+  const match = typeof content === 'string' ? content.match(PRIVATE_KEY_PATTERN) : null;
+  if (!match) {
+    throw new Error('Not a private key');
+  }
+
+  const [pem, label] = match;
+  const result = {
+    format: null,
+    encrypted: false,
+    keyType: PEM_KEY_TYPES[label] || 'Unknown',
+    publicKey: null,
+    fingerprint: null,
+    content: pem.trim() + '\n'
+  };
+
+  if (label === 'OPENSSH PRIVATE KEY') {
+    const info = parseOpenSSHPrivateKey(pem);
+    result.format = 'openssh';
+    result.encrypted = info.encrypted;
+    result.publicKey = info.publicKey;
+  } else if (label === 'PRIVATE KEY' || label === 'ENCRYPTED PRIVATE KEY') {
+    result.format = 'pkcs8';
+    result.encrypted = label === 'ENCRYPTED PRIVATE KEY';
+  } else if (PEM_KEY_TYPES[label]) {
+    result.format = 'pem';
+    result.encrypted = /Proc-Type:\s*4,ENCRYPTED/.test(pem);
+  } else {
+    throw new Error(`Unsupported private key type "${label}"`);
+  }
+
+  if (result.format !== 'openssh' && !result.encrypted) {
+    let keyObject;
+    try {
+      keyObject = crypto.createPrivateKey(pem);
+    } catch (error) {
+      throw new Error(`Unable to read private key: ${error.message}`);
+    }
+    try {
+      result.publicKey = toOpenSSHPublicKey(keyObject);
+    } catch {
+      // Not every algorithm can be converted (e.g. DSA); the .pub file is needed
+    }
+  }
+
+  const parsed = result.publicKey ? tryParsePublicKey(result.publicKey) : null;
+  if (result.publicKey && !parsed) {
+    throw new Error('Private key contains an invalid public key');
+  }
+  if (parsed) {
+    result.keyType = parsed.keyType;
+    result.fingerprint = parsed.fingerprint;
+    result.publicKey = parsed.normalized;
+  }
+
+  return result;
+}
+
+// Like parsePrivateKey but returns null instead of throwing
+export function tryParsePrivateKey(content) {
+  try {
+    return parsePrivateKey(content);
+  } catch {
+    return null;
+  }
+}
+
+// Human readable description of a stored private key
+export function describePrivateKey(format, encrypted) {
+  const label = PRIVATE_KEY_FORMATS[format] || format;
+  return `${label}${encrypted ? ', passphrase protected' : ', not passphrase protected'}`;
+}
@@ -0,0 +1,297 @@
+import { tryParsePublicKey } from './key-parser.js';
+import { UsageError } from './errors.js';
+
+// Filter expressions for "list" and the interactive pickers, e.g.
+//   type:ed25519 tag:prod -tag:legacy bits>=3072 created>2025-01-01 name~deploy
+// Terms next to each other are ANDed; OR, NOT (or a leading "-") and parentheses combine them.
+
+const TERM_PATTERN = /^([a-z_]+)(>=|<=|!=|:|=|~|>|<)(.*)$/is;
+const DATE_ONLY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Parsed public key for records written before bits and fingerprints were stored
+function parsedKey(key) {
+  return tryParsePublicKey(key.key) || {};
+}
+
+const FIELDS = {
+  name: { kind: 'text', get: key => [key.name] },
+  tag: { kind: 'text', get: key => key.tags || [] },
+  type: { kind: 'text', get: key => [key.key_type] },
+  comment: { kind: 'text', get: key => [key.comment] },
+  id: { kind: 'id', get: key => key.id },
+  fingerprint: { kind: 'fingerprint', get: key => key.fingerprint || parsedKey(key).fingerprint },
+  bits: { kind: 'number', get: key => key.bits ?? parsedKey(key).bits },
+  created: { kind: 'date', get: key => key.created },
+  modified: { kind: 'date', get: key => key.last_modified },
+  private: { kind: 'boolean', get: key => Boolean(key.private_key) }
+};
+
+const FIELD_ALIASES = {
+  tags: 'tag',
+  fp: 'fingerprint',
+  size: 'bits',
+  updated: 'modified',
+  has_private: 'private'
+};
+
+// Operators each kind of field accepts
+const KIND_OPERATORS = {
+  text: [':', '=', '!=', '~'],
+  id: [':', '=', '!=', '~'],
+  fingerprint: [':', '=', '!=', '~'],
+  number: [':', '=', '!=', '>', '>=', '<', '<='],
+  date: [':', '=', '!=', '>', '>=', '<', '<='],
+  boolean: [':', '=', '!=']
+};
+
+// Parse error pointing at the offending part of the query
+function queryError(query, position, reason) {
+  return new UsageError(`Invalid query: ${reason}\n  ${query}\n  ${' '.repeat(position)}^`);
+}
+
+function unquote(value) {
+  return value.replace(/^(["'])(.*)\1$/s, '$2');
+}
+
+// Split a query into parentheses, keywords and terms; quoted values may contain spaces
+function tokenize(query) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < query.length) {
+    const char = query[index];
+    if (/\s/.test(char)) {
+      index++;
+      continue;
+    }
+    if (char === '(' || char === ')') {
+      tokens.push({ type: char === '(' ? 'lparen' : 'rparen', position: index });
+      index++;
+      continue;
+    }
+
+    const start = index;
+    let quoted = false;
+    while (index < query.length && !/[\s()]/.test(query[index])) {
+      if (query[index] === '"' || query[index] === "'") {
+        const close = query.indexOf(query[index], index + 1);
+        if (close === -1) {
+          throw queryError(query, index, 'unterminated quote');
+        }
+        quoted = true;
+        index = close + 1;
+      } else {
+        index++;
+      }
+    }
+
+    let word = query.slice(start, index);
+    let position = start;
+    const keyword = quoted ? null : word.toUpperCase();
+    if (keyword === 'AND' || keyword === 'OR' || keyword === 'NOT') {
+      tokens.push({ type: keyword.toLowerCase(), position });
+      continue;
+    }
+    if ((word[0] === '-' || word[0] === '!') && word.length > 1) {
+      tokens.push({ type: 'not', position });
+      word = word.slice(1);
+      position++;
+    }
+    tokens.push({ type: 'term', text: word, position });
+  }
+
+  return tokens;
+}
+
+// Range of timestamps a date value stands for: a whole local day for YYYY-MM-DD
+function parseDateValue(value) {
+  const dateOnly = value.match(DATE_ONLY_PATTERN);
+  if (dateOnly) {
+    const start = new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3])).getTime();
+    return { start, end: start + DAY_MS };
+  }
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : { start: time, end: time + 1 };
+}
+
+function compareRange(actual, operator, { start, end }) {
+  switch (operator) {
+    case '>': return actual >= end;
+    case '>=': return actual >= start;
+    case '<': return actual < start;
+    case '<=': return actual < end;
+    case '!=': return actual < start || actual >= end;
+    default: return actual >= start && actual < end;
+  }
+}
+
+// Case-insensitive match of a text value; "*" in the value is a wildcard
+function textMatcher(operator, value) {
+  const wanted = value.toLowerCase();
+  if (operator === '~') {
+    return text => text.toLowerCase().includes(wanted);
+  }
+  if (wanted.includes('*')) {
+    const pattern = new RegExp(`^${wanted.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+    return text => pattern.test(text.toLowerCase());
+  }
+  return text => text.toLowerCase() === wanted;
+}
+
+// Predicate for a single field comparison
+function compileTerm(query, token) {
+  const match = token.text.match(TERM_PATTERN);
+
+  // A bare SHA256:/MD5: fingerprint is a fingerprint comparison, any other bare word free text
+  if (!match || /^(sha256|md5)$/i.test(match[1])) {
+    const value = unquote(token.text).toLowerCase();
+    if (/^(sha256|md5):/i.test(value)) {
+      return compileTerm(query, { ...token, text: `fingerprint:${token.text}` });
+    }
+    return key => [key.name, key.key_type, ...(key.tags || [])].some(text => (text || '').toLowerCase().includes(value));
+  }
+
+  const [, rawField, operator, rawValue] = match;
+  const fieldName = FIELD_ALIASES[rawField.toLowerCase()] || rawField.toLowerCase();
+  const field = FIELDS[fieldName];
+  const valuePosition = token.position + rawField.length + operator.length;
+  if (!field) {
+    throw queryError(query, token.position, `unknown field "${rawField}" (fields: ${Object.keys(FIELDS).join(', ')})`);
+  }
+  if (!KIND_OPERATORS[field.kind].includes(operator)) {
+    throw queryError(query, token.position + rawField.length, `"${operator}" can't be used with ${fieldName} (use ${KIND_OPERATORS[field.kind].join(' ')})`);
+  }
+  const value = unquote(rawValue);
+  if (!value) {
+    throw queryError(query, valuePosition, `expected a value after "${rawField}${operator}"`);
+  }
+
+  let test;
+  if (field.kind === 'text') {
+    const matches = textMatcher(operator, value);
+    test = key => field.get(key).some(text => text !== null && text !== undefined && matches(String(text)));
+  } else if (field.kind === 'id') {
+    const wanted = value.toLowerCase();
+    test = operator === '~'
+      ? key => field.get(key).toLowerCase().includes(wanted)
+      : key => field.get(key).toLowerCase().startsWith(wanted);
+  } else if (field.kind === 'fingerprint') {
+    if (/^md5:/i.test(value)) {
+      const wanted = value.toLowerCase();
+      test = key => {
+        const md5 = (parsedKey(key).md5 || '').toLowerCase();
+        return operator === '~' ? md5.includes(wanted.slice(4)) : md5 === wanted;
+      };
+    } else {
+      const wanted = value.replace(/^sha256:/i, '');
+      test = key => {
+        const fingerprint = (field.get(key) || '').replace(/^SHA256:/, '');
+        return operator === '~' ? fingerprint.includes(wanted) : fingerprint === wanted;
+      };
+    }
+  } else if (field.kind === 'number') {
+    if (!/^\d+$/.test(value)) {
+      throw queryError(query, valuePosition, `${fieldName} needs a whole number, not "${value}"`);
+    }
+    const number = Number(value);
+    test = key => {
+      const actual = field.get(key);
+      return typeof actual === 'number' && compareRange(actual, operator, { start: number, end: number + 1 });
+    };
+  } else if (field.kind === 'date') {
+    const range = parseDateValue(value);
+    if (!range) {
+      throw queryError(query, valuePosition, `${fieldName} needs a date like 2025-01-31, not "${value}"`);
+    }
+    test = key => {
+      const actual = Date.parse(field.get(key));
+      return !Number.isNaN(actual) && compareRange(actual, operator, range);
+    };
+  } else {
+    const normalized = value.toLowerCase();
+    if (!['yes', 'no', 'true', 'false'].includes(normalized)) {
+      throw queryError(query, valuePosition, `${fieldName} needs yes or no, not "${value}"`);
+    }
+    const wanted = normalized === 'yes' || normalized === 'true';
+    test = key => field.get(key) === wanted;
+  }
+
+  // Numbers and dates handle != in the comparison; elsewhere it means "no value matches"
+  if (operator === '!=' && field.kind !== 'number' && field.kind !== 'date') {
+    return key => !test(key);
+  }
+  return test;
+}
+
+// Turn a query string into a predicate over key records; an empty query matches everything
+export function compileQuery(query) {
+  const text = String(query || '');
+  const tokens = tokenize(text);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const describe = (token) => token.type === 'term' ? `"${token.text}"` : token.type === 'lparen' ? '"("' : token.type === 'rparen' ? '")"' : token.type.toUpperCase();
+
+  function parseOr() {
+    let left = parseAnd();
+    while (peek() && peek().type === 'or') {
+      index++;
+      const right = parseAnd();
+      const previous = left;
+      left = key => previous(key) || right(key);
+    }
+    return left;
+  }
+
+  function parseAnd() {
+    let left = parseUnary();
+    while (peek() && peek().type !== 'or' && peek().type !== 'rparen') {
+      if (peek().type === 'and') {
+        index++;
+      }
+      const right = parseUnary();
+      const previous = left;
+      left = key => previous(key) && right(key);
+    }
+    return left;
+  }
+
+  function parseUnary() {
+    if (peek() && peek().type === 'not') {
+      index++;
+      const inner = parseUnary();
+      return key => !inner(key);
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = peek();
+    if (!token) {
+      throw queryError(text, text.length, 'expected a filter at the end of the query');
+    }
+    index++;
+    if (token.type === 'lparen') {
+      const inner = parseOr();
+      if (!peek() || peek().type !== 'rparen') {
+        throw queryError(text, token.position, 'unclosed "("');
+      }
+      index++;
+      return inner;
+    }
+    if (token.type === 'term') {
+      return compileTerm(text, token);
+    }
+    throw queryError(text, token.position, `expected a filter before ${describe(token)}`);
+  }
+
+  if (tokens.length === 0) {
+    return () => true;
+  }
+  const predicate = parseOr();
+  if (index < tokens.length) {
+    throw queryError(text, tokens[index].position, `unexpected ${describe(tokens[index])}`);
+  }
+  return predicate;
+}
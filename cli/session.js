@@ -0,0 +1,102 @@
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import { getHomeOverride } from './paths.js';
+
+// Directory for unlock sessions: the per-user runtime dir when available
+export function getSessionDir() {
+  const home = getHomeOverride();
+  if (home) {
+    return path.join(home, 'run');
+  }
+  if (process.env.XDG_RUNTIME_DIR) {
+    return path.join(process.env.XDG_RUNTIME_DIR, 'ssh-kim');
+  }
+  const uid = typeof process.getuid === 'function' ? process.getuid() : os.userInfo().username;
+  return path.join(os.tmpdir(), `ssh-kim-${uid}`);
+}
+
+// Caches derived vault keys in a user-only file until they expire
+export class UnlockSession {
+  constructor(sessionDir = getSessionDir()) {
+    this.sessionDir = sessionDir;
+    this.sessionPath = path.join(sessionDir, 'session.json');
+  }
+
+  readEntries() {
+    try {
+      return fs.readJsonSync(this.sessionPath);
+    } catch {
+      return {};
+    }
+  }
+
+  writeEntries(entries) {
+    if (Object.keys(entries).length === 0) {
+      fs.removeSync(this.sessionPath);
+      return;
+    }
+    fs.ensureDirSync(this.sessionDir, { mode: 0o700 });
+    fs.chmodSync(this.sessionDir, 0o700);
+    fs.writeJsonSync(this.sessionPath, entries, { mode: 0o600 });
+    fs.chmodSync(this.sessionPath, 0o600);
+  }
+
+  // Drop expired entries and return the remaining ones
+  pruneEntries() {
+    const entries = this.readEntries();
+    const now = Date.now();
+    let changed = false;
+    for (const [vaultPath, entry] of Object.entries(entries)) {
+      if (!entry || entry.expiresAt <= now) {
+        delete entries[vaultPath];
+        changed = true;
+      }
+    }
+    if (changed) this.writeEntries(entries);
+    return entries;
+  }
+
+  // Store the derived key for a vault for ttlMs milliseconds
+  save(vaultPath, kdf, key, ttlMs) {
+    const entries = this.pruneEntries();
+    const expiresAt = Date.now() + ttlMs;
+    entries[path.resolve(vaultPath)] = {
+      kdf,
+      key: key.toString('base64'),
+      expiresAt
+    };
+    this.writeEntries(entries);
+    return new Date(expiresAt);
+  }
+
+  // Return the cached key if the session is active and matches the vault's KDF parameters
+  getKey(vaultPath, kdf) {
+    const entry = this.pruneEntries()[path.resolve(vaultPath)];
+    if (!entry || JSON.stringify(entry.kdf) !== JSON.stringify(kdf)) {
+      return null;
+    }
+    return Buffer.from(entry.key, 'base64');
+  }
+
+  // Expiry time of the active session for a vault, or null
+  getExpiry(vaultPath) {
+    const entry = this.pruneEntries()[path.resolve(vaultPath)];
+    return entry ? new Date(entry.expiresAt) : null;
+  }
+
+  // End the session for one vault, or all sessions when no path is given
+  clear(vaultPath = null) {
+    if (!vaultPath) {
+      const hadEntries = Object.keys(this.readEntries()).length > 0;
+      fs.removeSync(this.sessionPath);
+      return hadEntries;
+    }
+    const entries = this.readEntries();
+    const resolved = path.resolve(vaultPath);
+    const existed = resolved in entries;
+    delete entries[resolved];
+    this.writeEntries(entries);
+    return existed;
+  }
+}
@@ -0,0 +1,34 @@
+// Lines that start a new section of an ssh_config file
+const SECTION_PATTERN = /^\s*(host|match)\b/i;
+
+// Line range [start, end) of the Host block that lists the alias as one of its patterns,
+// without the blank lines that separate it from the next block; null when there is none
+export function findHostBlock(content, alias) {
+  const lines = content.split(/\r?\n/);
+  const start = lines.findIndex(line => {
+    // Only the Host keyword itself, not HostName or HostKeyAlias
+    const match = line.match(/^\s*host(?:\s*=\s*|\s+)(.*)$/i);
+    return match && match[1].split(/\s+/).map(pattern => pattern.replace(/^"(.*)"$/, '$1')).includes(alias);
+  });
+  if (start === -1) {
+    return null;
+  }
+
+  let end = start + 1;
+  while (end < lines.length && !SECTION_PATTERN.test(lines[end])) end++;
+  while (end > start + 1 && lines[end - 1].trim() === '') end--;
+  return { start, end, text: lines.slice(start, end).join('\n') };
+}
+
+// The config with the Host block for the alias replaced, or the block appended after a blank line
+export function setHostBlock(content, alias, block) {
+  const existing = findHostBlock(content, alias);
+  if (existing) {
+    const lines = content.split(/\r?\n/);
+    lines.splice(existing.start, existing.end - existing.start, ...block.split('\n'));
+    return lines.join('\n');
+  }
+
+  const trimmed = content.replace(/\s+$/, '');
+  return `${trimmed ? `${trimmed}\n\n` : ''}${block}\n`;
+}
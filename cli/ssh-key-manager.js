@@ -1,6 +1,5 @@
 import chalk from 'chalk';
 import inquirer from 'inquirer';
-import ora from 'ora';
 import clipboardy from 'clipboardy';
 import Conf from 'conf';
 import fs from 'fs-extra';
@@ -9,25 +8,188 @@ import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import crypto from 'crypto';
 import os from 'os';
+import { parsePublicKey, tryParsePublicKey, formatFingerprint } from './key-parser.js';
+import { generateKeyPair, resolveKeySpec, GENERATE_TYPES } from './key-generator.js';
+import { isPrivateKey, parsePrivateKey, tryParsePrivateKey, describePrivateKey } from './private-key.js';
+import {
+  createKdfParams,
+  kdfMatches,
+  deriveKey,
+  describeKdf,
+  encryptVault,
+  decryptVault,
+  readVaultHeader,
+  isLegacyVault,
+  decryptLegacy,
+  legacyPasswordKey,
+  VAULT_CIPHER
+} from './vault-crypto.js';
+import { UnlockSession } from './session.js';
+import { FileLock } from './file-lock.js';
+import { getHomeOverride, getVaultsDir, getLegacyVaultPath, expandHome } from './paths.js';
+import { isMachineOutput, printResult, createSpinner, formatTable, printPaged } from './output.js';
+import { findKeyMatches, describeKeyCandidate } from './key-ref.js';
+import { compileQuery } from './query.js';
+import { auditKeys, summarizeFindings, severityRank } from './audit.js';
+import { parseExpiry, parseRotationInterval, getExpiryStatus, describeExpiry } from './expiry.js';
+import { parseAuthorizedKeys, getAuthorizedKeyName } from './authorized-keys.js';
+import { CONFLICT_STRATEGIES, mergeKeyRecords } from './import-conflicts.js';
+import { matchesGlob } from './glob.js';
+import { hashSourceContent, getSourceChanges } from './key-source.js';
+import { FOREIGN_KEY_FORMATS, isPuttyKey, isRfc4716, parseRfc4716, convertKeyContent } from './key-formats.js';
+import { EXPORT_FORMATS, normalizeExportFormat, toCsv, toYaml, toHostAlias, toSshConfigHost } from './key-export.js';
+import { findHostBlock, setHostBlock } from './ssh-config.js';
+import { parseVaultDocument, changedFields, keyChange, purgedChange, redactKeyHistory, undoneEntryIds, undoableEntries, revertKeyChange } from './history.js';
+import { parseTags, getRecordTags, normalizeKeyTags, hasTag, matchesTags, countTags } from './tags.js';
+import {
+  UsageError,
+  NotFoundError,
+  InvalidKeyError,
+  AmbiguousReferenceError,
+  DecryptError,
+  VaultLockedError,
+  ConflictError,
+  CheckFailedError,
+  CancelledError
+} from './errors.js';
+import { parseDuration } from './duration.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// Files larger than this are never SSH keys and are skipped while scanning
+const MAX_KEY_FILE_SIZE = 64 * 1024;
+// authorized_keys files as sshd reads them
+const AUTHORIZED_KEYS_FILE = /^authorized_keys2?$/;
+// Directory levels a recursive scan descends when --max-depth isn't given
+const DEFAULT_SCAN_DEPTH = 5;
+
+// Columns for tab-separated key listings
+const KEY_COLUMNS = ['id', 'name', 'tags', 'key_type', 'bits', 'fingerprint', 'comment', 'key_options', 'original_format', 'source_path', 'has_private_key', 'created', 'last_modified', 'expires_at', 'rotate_every', 'key'];
+// Expiry and rotation fields an import keeps from an ssh-kim export
+const EXPIRY_FIELDS = ['expires_at', 'rotate_every', 'rotated_at'];
+// Columns of the compact list table; value is what's shown, sortValue (if any) what's sorted on.
+// Both get the list context, whose expiryOf(key) applies the vault's rotation policy.
+const TABLE_COLUMNS = {
+  id: { header: 'ID', value: key => key.id.slice(0, 8), sortValue: key => key.id },
+  name: { header: 'NAME', value: key => key.name },
+  tags: { header: 'TAGS', value: key => (key.tags || []).join(', '), color: chalk.cyan },
+  type: { header: 'TYPE', value: key => key.key_type, color: chalk.green },
+  bits: { header: 'BITS', value: key => key.bits, align: 'right' },
+  fingerprint: { header: 'FINGERPRINT', value: key => key.fingerprint, color: chalk.gray },
+  created: { header: 'CREATED', value: key => (key.created || '').slice(0, 10), sortValue: key => key.created },
+  modified: { header: 'MODIFIED', value: key => (key.last_modified || '').slice(0, 10), sortValue: key => key.last_modified },
+  expires: {
+    header: 'EXPIRES',
+    value: (key, context) => {
+      const expiry = context.expiryOf(key);
+      return expiry.due_at ? `${expiry.due_at.slice(0, 10)}${EXPIRY_MARKERS[expiry.status]}` : '';
+    },
+    sortValue: (key, context) => context.expiryOf(key).due_at,
+    style: (key, context) => EXPIRY_STYLES[context.expiryOf(key).status]
+  },
+  source: { header: 'SOURCE', value: key => key.source_path }
+};
+const DEFAULT_TABLE_COLUMNS = ['name', 'tags', 'type', 'bits', 'fingerprint', 'modified'];
+const DUE_COLUMNS = ['id', 'name', 'due_at', 'reason', 'status', 'days_left'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How expired and soon-to-expire keys are marked in listings
+const EXPIRY_STYLES = {
+  expired: chalk.red,
+  expiring: chalk.yellow,
+  ok: text => text,
+  none: text => text
+};
+const EXPIRY_MARKERS = { expired: ' expired', expiring: ' soon', ok: '', none: '' };
+const IMPORT_FORMATS = ['json', 'authorized_keys', 'ppk', 'rfc4716'];
+const IMPORT_PLAN_COLUMNS = ['action', 'name', 'fingerprint', 'detail'];
+const IMPORT_ACTION_COLORS = {
+  add: chalk.green,
+  rename: chalk.green,
+  overwrite: chalk.yellow,
+  merge: chalk.cyan,
+  skip: chalk.gray,
+  invalid: chalk.red
+};
+const HISTORY_COLUMNS = ['id', 'at', 'user', 'action', 'summary', 'undone', 'key_ids'];
+const DEFAULT_HISTORY_LIMIT = 20;
+const AUDIT_COLUMNS = ['severity', 'check', 'key_id', 'key_name', 'message'];
+const SYNC_COLUMNS = ['status', 'key_id', 'name', 'path', 'fingerprint', 'detail'];
+const SYNC_STATUS_COLORS = { changed: chalk.yellow, missing: chalk.red, new: chalk.cyan };
+const SCAN_COLUMNS = ['name', 'path', 'type', 'fingerprint', 'format', 'in_vault', 'vault_key', 'private_key_path', 'private_key_format', 'private_key_encrypted', 'key'];
+
+// Interactive pickers ask for a query first when the vault holds more keys than this
+const PICKER_QUERY_THRESHOLD = 10;
+
+const SEVERITY_STYLES = {
+  critical: chalk.bold.red,
+  high: chalk.red,
+  medium: chalk.yellow,
+  low: chalk.blue
+};
+
+const DEFAULT_VAULT = 'default';
+const VAULT_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
 export class SSHKeyManager {
-  constructor() {
+  constructor(options = {}) {
     this.config = new Conf({
       projectName: 'ssh-kim-cli',
+      cwd: getHomeOverride() || undefined,
       defaults: {
-        keysFilePath: null,
         defaultSSHDir: this.getDefaultSSHDir(),
-        encryptionPassword: null
+        currentVault: DEFAULT_VAULT,
+        vaults: { [DEFAULT_VAULT]: { encryptionMode: 'machine' } },
+        sessionTTL: '15m',
+        kdf: 'scrypt',
+        kdfCost: null,
+        backupCount: 10,
+        auditMaxAge: '365d',
+        expiryWarning: '30d'
       }
     });
     
     this.machineKey = this.getMachineKey();
-    this.passwordKey = this.config.get('encryptionPassword') ? 
-      this.deriveKeyFromPassword(this.config.get('encryptionPassword')) : null;
+    this.password = null;
+    this.sessionKey = null;
+    this.session = new UnlockSession();
+    this.vaultKdf = null;
+    this.vaultLock = null;
     this.keysCache = null;
+    this.vaultDocument = null;
+    this.pendingChanges = [];
+    this.vaultName = options.vault || process.env.SSH_KIM_VAULT || this.config.get('currentVault') || DEFAULT_VAULT;
+
+    // Versions before profiles kept the path and mode at the top level of the config
+    for (const [oldKey, newKey] of [['keysFilePath', 'path'], ['encryptionMode', 'encryptionMode']]) {
+      if (this.config.has(oldKey)) {
+        const value = this.config.get(oldKey);
+        this.config.delete(oldKey);
+        if (value) this.config.set(`vaults.${DEFAULT_VAULT}.${newKey}`, value);
+      }
+    }
+
+    // Older versions stored the vault password in plaintext. It unlocks the default vault until that
+    // has been saved in the current format; forgetLegacyPassword removes it then.
+    if (this.config.has('encryptionPassword')) {
+      const legacyPassword = this.config.get('encryptionPassword');
+      if (!legacyPassword) {
+        this.config.delete('encryptionPassword');
+      } else if (this.vaultName === DEFAULT_VAULT) {
+        this.password = legacyPassword;
+        this.config.set(`vaults.${DEFAULT_VAULT}.encryptionMode`, 'password');
+      }
+    }
+  }
+
+  // Drop the plaintext password older versions kept in the config, once the vault no longer needs it
+  forgetLegacyPassword() {
+    if (this.vaultName !== DEFAULT_VAULT || !this.config.has('encryptionPassword')) {
+      return;
+    }
+    this.config.delete('encryptionPassword');
+    console.log(chalk.yellow('Removed the plaintext vault password from the config file. You will be prompted for it from now on.'));
   }
 
   // Get default SSH directory based on platform
@@ -66,54 +228,235 @@ export class SSHKeyManager {
     return 'unknown-machine';
   }
 
-  // Derive encryption key from password
-  deriveKeyFromPassword(password) {
-    const hash = crypto.createHash('sha256');
-    hash.update(password + 'ssh-kim-password-salt');
-    return hash.digest();
+  // Whether the vault is protected by a password rather than the machine key
+  isPasswordMode() {
+    return this.getVaultSetting('encryptionMode') === 'password';
+  }
+
+  // Read the vault password from the environment, a file descriptor or an interactive prompt
+  async readPassword(options = {}) {
+    const envName = options.env || 'SSH_KIM_PASSWORD';
+
+    if (process.env[envName]) {
+      return process.env[envName];
+    }
+
+    if (process.env[`${envName}_FD`]) {
+      const fd = parseInt(process.env[`${envName}_FD`], 10);
+      if (!Number.isInteger(fd) || fd < 0) {
+        throw new UsageError(`${envName}_FD must be a file descriptor number`);
+      }
+      const password = fs.readFileSync(fd, 'utf8').split(/\r?\n/)[0];
+      if (!password) {
+        throw new VaultLockedError(`No password could be read from file descriptor ${fd}`);
+      }
+      return password;
+    }
+
+    if (!process.stdin.isTTY) {
+      throw new VaultLockedError(options.confirm
+        ? `New vault password required. Set ${envName} or ${envName}_FD.`
+        : 'Vault password required. Set SSH_KIM_PASSWORD or SSH_KIM_PASSWORD_FD, or run "ssh-kim unlock" first.');
+    }
+
+    const answers = await inquirer.prompt([
+      {
+        type: 'password',
+        name: 'password',
+        message: options.message || 'Enter vault password:',
+        mask: '*',
+        validate: (input) => {
+          if (!input) return 'Password is required';
+          if (options.confirm && input.length < 6) return 'Password must be at least 6 characters';
+          return true;
+        }
+      },
+      {
+        type: 'password',
+        name: 'confirmPassword',
+        message: 'Confirm password:',
+        mask: '*',
+        when: () => !!options.confirm,
+        validate: (input, current) => input === current.password ? true : 'Passwords do not match'
+      }
+    ]);
+
+    return answers.password;
+  }
+
+  // Make sure the key for the given KDF parameters is available, prompting if needed
+  async ensureUnlocked(kdf) {
+    if (!this.isPasswordMode() || this.password) {
+      return;
+    }
+
+    const sessionKey = kdf ? this.session.getKey(this.getKeysFilePath(), kdf) : null;
+    if (sessionKey) {
+      this.sessionKey = { kdf, key: sessionKey };
+      return;
+    }
+
+    this.password = await this.readPassword();
+  }
+
+  // Derived vault key for the given KDF parameters
+  getVaultKey(kdf) {
+    if (!this.isPasswordMode()) {
+      return deriveKey(this.machineKey, kdf);
+    }
+    if (this.password) {
+      return deriveKey(Buffer.from(this.password, 'utf8'), kdf);
+    }
+    if (this.sessionKey && JSON.stringify(this.sessionKey.kdf) === JSON.stringify(kdf)) {
+      return this.sessionKey.key;
+    }
+    throw new VaultLockedError('Vault is locked. Run "ssh-kim unlock" or set SSH_KIM_PASSWORD.');
+  }
+
+  // Key used by the legacy AES-256-CBC vault format
+  getLegacyKey() {
+    if (!this.isPasswordMode()) {
+      return this.machineKey;
+    }
+    if (!this.password) {
+      throw new VaultLockedError('Vault is locked. Set SSH_KIM_PASSWORD or enter the password to upgrade the legacy vault.');
+    }
+    return legacyPasswordKey(this.password);
+  }
+
+  // KDF parameters for the next save, keeping the vault's salt while the settings are unchanged
+  getKdfParams() {
+    const name = this.config.get('kdf');
+    const cost = this.config.get('kdfCost');
+    if (kdfMatches(this.vaultKdf, name, cost)) {
+      return this.vaultKdf;
+    }
+    this.vaultKdf = createKdfParams(name, cost);
+    return this.vaultKdf;
+  }
+
+  // Named vault profiles; the default profile always exists
+  getVaultProfiles() {
+    return { [DEFAULT_VAULT]: {}, ...this.config.get('vaults') };
+  }
+
+  // Settings of a vault profile, the active one by default
+  getVaultProfile(name = this.vaultName) {
+    const profile = this.getVaultProfiles()[name];
+    if (!profile) {
+      throw new NotFoundError(`Vault "${name}" does not exist. Create it with "ssh-kim vault create ${name}".`);
+    }
+    return profile;
+  }
+
+  getVaultSetting(key) {
+    return this.getVaultProfile()[key];
+  }
+
+  setVaultSetting(key, value) {
+    this.getVaultProfile();
+    if (value === null || value === undefined) {
+      this.config.delete(`vaults.${this.vaultName}.${key}`);
+    } else {
+      this.config.set(`vaults.${this.vaultName}.${key}`, value);
+    }
+  }
+
+  // A setting from the vault profile or the global config
+  getSetting(setting, scope) {
+    const value = scope === 'vault' ? this.getVaultSetting(setting) : this.config.get(setting);
+    return value === undefined ? null : value;
+  }
+
+  setSetting(setting, scope, value) {
+    if (scope === 'vault') {
+      this.setVaultSetting(setting, value);
+    } else if (value === null || value === undefined) {
+      this.config.delete(setting);
+    } else {
+      this.config.set(setting, value);
+    }
   }
 
-  // Get encryption key (password-based if set, otherwise machine-specific)
-  getEncryptionKey() {
-    return this.passwordKey || this.machineKey;
+  // Change settings and record the change in the vault history
+  async changeSettings(updates, summary) {
+    const changes = updates.map(({ setting, scope = 'global', value }) => {
+      const before = this.getSetting(setting, scope);
+      this.setSetting(setting, scope, value);
+      return { setting, scope, before, after: this.getSetting(setting, scope) };
+    }).filter(change => JSON.stringify(change.before) !== JSON.stringify(change.after));
+
+    if (changes.length === 0 || !fs.existsSync(this.getKeysFilePath())) {
+      return;
+    }
+    try {
+      await this.withVaultLock(async () => {
+        const keys = await this.loadKeys();
+        this.recordChange('config', summary, changes);
+        await this.saveKeys(keys);
+      });
+    } catch (error) {
+      if (!(error instanceof VaultLockedError)) throw error;
+      console.log(chalk.yellow('The setting was changed but not recorded in the vault history: the vault is locked.'));
+    }
   }
 
   // Get the path to the encrypted SSH keys file
   getKeysFilePath() {
-    const customPath = this.config.get('keysFilePath');
+    const customPath = this.getVaultSetting('path');
     if (customPath) {
       return customPath;
     }
-    
-    // Default to app data directory
-    const appDataDir = path.join(process.cwd(), 'data');
-    if (!fs.existsSync(appDataDir)) {
-      fs.mkdirpSync(appDataDir);
+
+    const filePath = path.join(getVaultsDir(), `${this.vaultName}.enc`);
+    if (this.vaultName === DEFAULT_VAULT) {
+      this.migrateLegacyVault(filePath);
+    }
+    return filePath;
+  }
+
+  // Move a vault left in ./data by older versions to the per-user data directory
+  migrateLegacyVault(filePath) {
+    const legacyPath = getLegacyVaultPath();
+    if (getHomeOverride() || fs.existsSync(filePath) || !fs.existsSync(legacyPath)) {
+      return;
     }
-    return path.join(appDataDir, 'ssh_keys.enc');
+
+    fs.ensureDirSync(path.dirname(filePath), { mode: 0o700 });
+    fs.copySync(legacyPath, filePath);
+    fs.chmodSync(filePath, 0o600);
+    fs.renameSync(legacyPath, `${legacyPath}.migrated`);
+    console.log(chalk.blue(`Moved the vault from ${legacyPath} to ${filePath} (the old file is kept as ${path.basename(legacyPath)}.migrated).`));
   }
 
   // Encryption/Decryption methods
   encryptData(data) {
-    const algorithm = 'aes-256-cbc';
-    const key = this.getEncryptionKey();
-    const iv = crypto.randomBytes(16);
-    const cipher = crypto.createCipheriv(algorithm, key, iv);
-    let encrypted = cipher.update(data, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    return iv.toString('hex') + ':' + encrypted;
+    const kdf = this.getKdfParams();
+    return encryptVault(data, this.getVaultKey(kdf), kdf);
   }
 
   decryptData(encryptedData) {
-    const algorithm = 'aes-256-cbc';
-    const key = this.getEncryptionKey();
-    const parts = encryptedData.split(':');
-    const iv = Buffer.from(parts[0], 'hex');
-    const encrypted = parts[1];
-    const decipher = crypto.createDecipheriv(algorithm, key, iv);
-    let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
-    return decrypted;
+    if (isLegacyVault(encryptedData)) {
+      return decryptLegacy(encryptedData, this.getLegacyKey());
+    }
+
+    const { plaintext, header } = decryptVault(encryptedData, (kdf) => this.getVaultKey(kdf));
+    this.vaultKdf = header.kdf;
+    return plaintext;
+  }
+
+  // Encrypt data with a one-off password, e.g. for exports
+  encryptWithPassword(data, password) {
+    const kdf = createKdfParams(this.config.get('kdf'), this.config.get('kdfCost'));
+    return encryptVault(data, deriveKey(Buffer.from(password, 'utf8'), kdf), kdf);
+  }
+
+  // Decrypt data protected with encryptWithPassword or the legacy export format
+  decryptWithPassword(encryptedData, password) {
+    if (isLegacyVault(encryptedData)) {
+      return decryptLegacy(encryptedData, legacyPasswordKey(password));
+    }
+    return decryptVault(encryptedData, (kdf) => deriveKey(Buffer.from(password, 'utf8'), kdf)).plaintext;
   }
 
   // Load keys from file
@@ -125,264 +468,994 @@ export class SSHKeyManager {
     const filePath = this.getKeysFilePath();
     
     if (!fs.existsSync(filePath)) {
+      this.vaultDocument = { keys: [], trash: [], history: [] };
       this.keysCache = [];
       return this.keysCache;
     }
 
+    const encryptedData = await fs.readFile(filePath, 'utf8');
+    let kdf = null;
     try {
-      const encryptedData = await fs.readFile(filePath, 'utf8');
-      const decryptedData = this.decryptData(encryptedData);
-      this.keysCache = JSON.parse(decryptedData);
-      return this.keysCache;
+      kdf = isLegacyVault(encryptedData) ? null : readVaultHeader(encryptedData).kdf;
     } catch (error) {
-      console.error(chalk.red('Error loading keys:'), error.message);
+      return this.recoverVault(filePath, error);
+    }
+
+    await this.ensureUnlocked(kdf);
+    try {
+      this.vaultDocument = parseVaultDocument(this.decryptData(encryptedData));
+    } catch (error) {
+      return this.recoverVault(filePath, error);
+    }
+
+    // Records written before multi-tag support carry a single `tag` string
+    this.keysCache = this.vaultDocument.keys.map(normalizeKeyTags);
+
+    // Upgrade vaults written in the legacy CBC format
+    if (isLegacyVault(encryptedData)) {
+      await fs.copy(filePath, `${filePath}.v1.bak`);
+      await this.saveKeys(this.keysCache);
+      console.log(chalk.blue(`Vault upgraded to ${VAULT_CIPHER.toUpperCase()} (previous file kept as ${path.basename(filePath)}.v1.bak).`));
+    } else {
+      this.forgetLegacyPassword();
+    }
+
+    return this.keysCache;
+  }
+
+  // An unreadable vault is never treated as empty: the next save would destroy it
+  async recoverVault(filePath, error) {
+    const restoreHint = 'run "ssh-kim vault restore" to recover from a backup';
+    const hint = `Nothing was changed. ${this.isPasswordMode() ? `Check the password; if it is right, ${restoreHint}` : restoreHint.charAt(0).toUpperCase() + restoreHint.slice(1)}.`;
+    if (!process.stdin.isTTY) {
+      throw new DecryptError(`Could not read the vault at ${filePath}: ${error.message}. ${hint}`, { cause: error });
+    }
+
+    console.error(chalk.red('Could not read the vault:'), error.message);
+    const backups = await this.listBackups();
+    const corruptPath = `${filePath}.corrupt-${this.getBackupStamp()}`;
+    const choices = [{ name: 'Abort and leave the vault untouched', value: 'abort' }];
+    if (backups.length > 0) {
+      choices.push({ name: `Restore the latest backup (${backups[0].date.toLocaleString()})`, value: 'restore' });
+    }
+    choices.push({ name: `Start an empty vault (the unreadable file is kept as ${path.basename(corruptPath)})`, value: 'empty' });
+
+    const answer = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'action',
+        message: 'How do you want to recover?',
+        choices
+      }
+    ]);
+
+    if (answer.action === 'restore') {
+      await this.restoreBackup(backups[0].path);
+      return this.loadKeys();
+    }
+    if (answer.action === 'empty') {
+      await fs.move(filePath, corruptPath);
+      this.vaultDocument = { keys: [], trash: [], history: [] };
       this.keysCache = [];
       return this.keysCache;
     }
+    throw new CancelledError(`Could not read the vault at ${filePath}. ${hint}`);
   }
 
-  // Save keys to file
-  async saveKeys(keys) {
+  // Lock guarding the current vault file
+  getVaultLock() {
     const filePath = this.getKeysFilePath();
-    const data = JSON.stringify(keys, null, 2);
-    const encryptedData = this.encryptData(data);
-    
-    await fs.writeFile(filePath, encryptedData, 'utf8');
-    this.keysCache = keys;
+    if (!this.vaultLock || this.vaultLock.filePath !== filePath) {
+      fs.ensureDirSync(path.dirname(filePath), { mode: 0o700 });
+      this.vaultLock = new FileLock(filePath);
+    }
+    return this.vaultLock;
   }
 
-  // Generate unique ID
-  generateId() {
-    return crypto.randomUUID();
+  // Run fn while holding the vault lock; keys are reloaded so changes made by other processes are kept
+  async withVaultLock(fn) {
+    const lock = this.getVaultLock();
+    await lock.acquire();
+    if (lock.depth === 1) {
+      this.keysCache = null;
+      this.pendingChanges = [];
+    }
+    try {
+      return await fn();
+    } finally {
+      lock.release();
+    }
   }
 
-  // Detect key type from content
-  detectKeyType(keyContent) {
-    if (keyContent.includes('ssh-rsa')) return 'RSA';
-    if (keyContent.includes('ssh-dss')) return 'DSA';
-    if (keyContent.includes('ecdsa-sha2')) return 'ECDSA';
-    if (keyContent.includes('ssh-ed25519')) return 'Ed25519';
-    return 'Unknown';
+  // Directory holding rotated copies of the vault
+  getBackupDir() {
+    return path.join(path.dirname(this.getKeysFilePath()), 'backups');
   }
 
-  // List all keys
-  async listKeys(options = {}) {
-    const spinner = ora('Loading SSH keys...').start();
-    
-    try {
-      const keys = await this.loadKeys();
-      spinner.stop();
-
-      if (keys.length === 0) {
-        console.log(chalk.yellow('No SSH keys found.'));
-        console.log(chalk.blue('Use "ssh-kim add" to add your first key.'));
-        return;
-      }
+  // Sortable, filesystem-safe timestamp
+  getBackupStamp() {
+    return new Date().toISOString().replace(/[:.]/g, '-');
+  }
 
-      // Apply filters
-      let filteredKeys = keys;
-      
-      if (options.search) {
-        const searchTerm = options.search.toLowerCase();
-        filteredKeys = filteredKeys.filter(key => 
-          key.name.toLowerCase().includes(searchTerm) ||
-          (key.tag && key.tag.toLowerCase().includes(searchTerm)) ||
-          key.key_type.toLowerCase().includes(searchTerm)
-        );
-      }
+  // Backups of the current vault, newest first
+  async listBackups() {
+    const backupDir = this.getBackupDir();
+    const prefix = `${path.basename(this.getKeysFilePath())}.`;
+    if (!fs.existsSync(backupDir)) {
+      return [];
+    }
 
-      if (options.tag) {
-        filteredKeys = filteredKeys.filter(key => 
-          key.tag && key.tag.toLowerCase() === options.tag.toLowerCase()
-        );
-      }
+    const backups = [];
+    for (const file of await fs.readdir(backupDir)) {
+      if (!file.startsWith(prefix) || !file.endsWith('.bak')) continue;
+      const filePath = path.join(backupDir, file);
+      const stats = await fs.stat(filePath);
+      backups.push({ name: file, path: filePath, date: stats.mtime, size: stats.size });
+    }
+    return backups.sort((a, b) => b.name.localeCompare(a.name));
+  }
 
-      if (options.type) {
-        filteredKeys = filteredKeys.filter(key => 
-          key.key_type.toLowerCase() === options.type.toLowerCase()
-        );
-      }
+  // Copy the current vault into the backup rotation and drop the oldest copies
+  async backupVault() {
+    const filePath = this.getKeysFilePath();
+    const count = this.config.get('backupCount');
+    if (!count || !fs.existsSync(filePath)) {
+      return null;
+    }
 
-      if (filteredKeys.length === 0) {
-        console.log(chalk.yellow('No keys match the specified criteria.'));
-        return;
-      }
+    const backupDir = this.getBackupDir();
+    await fs.ensureDir(backupDir, { mode: 0o700 });
+    const backupPath = path.join(backupDir, `${path.basename(filePath)}.${this.getBackupStamp()}.bak`);
+    await fs.copy(filePath, backupPath);
+    await fs.chmod(backupPath, 0o600);
 
-      // Display keys in table format
-      console.log(chalk.bold.blue(`\nSSH Keys (${filteredKeys.length} found):\n`));
-      
-      filteredKeys.forEach((key, index) => {
-        const tagDisplay = key.tag ? chalk.cyan(`[${key.tag}]`) : '';
-        const dateDisplay = new Date(key.last_modified).toLocaleDateString();
-        
-        console.log(chalk.bold(`${index + 1}. ${key.name}`) + ` ${tagDisplay}`);
-        console.log(`   ID: ${chalk.gray(key.id)}`);
-        console.log(`   Type: ${chalk.green(key.key_type)}`);
-        console.log(`   Modified: ${chalk.gray(dateDisplay)}`);
-        console.log(`   Key: ${chalk.gray(key.key.substring(0, 50))}...`);
-        console.log('');
-      });
+    const backups = await this.listBackups();
+    for (const old of backups.slice(count)) {
+      await fs.remove(old.path);
+    }
+    return backupPath;
+  }
 
-    } catch (error) {
-      spinner.stop();
-      console.error(chalk.red('Error listing keys:'), error.message);
+  // Delete every backup of the vault, returning how many there were
+  async removeBackups() {
+    const backups = await this.listBackups();
+    for (const backup of backups) {
+      await fs.remove(backup.path);
     }
+    return backups.length;
   }
 
-  // Add a new key
-  async addKey(options = {}) {
-    try {
-      let name = options.name;
-      let tag = options.tag;
-      let keyContent = options.content;
-      let sourcePath = '';
+  // Back up the current vault, then replace it atomically
+  async writeVault(content) {
+    await this.withVaultLock(async () => {
+      await this.backupVault();
+      await this.writeFileAtomic(this.getKeysFilePath(), content);
+    });
+  }
 
-      // Interactive mode if not all options provided
-      if (!name || !keyContent) {
-        const answers = await inquirer.prompt([
-          {
-            type: 'input',
-            name: 'name',
-            message: 'Enter key name:',
-            default: name,
-            validate: (input) => input.trim() ? true : 'Name is required'
-          },
-          {
-            type: 'input',
-            name: 'tag',
-            message: 'Enter key tag (optional):',
-            default: tag
-          },
-          {
-            type: 'list',
-            name: 'source',
-            message: 'How would you like to add the key?',
-            choices: [
-              { name: 'Enter key content manually', value: 'manual' },
-              { name: 'Read from file', value: 'file' },
-              { name: 'Scan common locations', value: 'scan' }
-            ]
-          }
-        ]);
+  // Replace the vault with a backup after checking that it decrypts
+  async restoreBackup(backupPath) {
+    await this.withVaultLock(async () => {
+      const content = await fs.readFile(backupPath, 'utf8');
+      await this.ensureUnlocked(isLegacyVault(content) ? null : readVaultHeader(content).kdf);
+      parseVaultDocument(this.decryptData(content));
+      await this.writeVault(content);
+      this.keysCache = null;
+    });
+  }
 
-        name = answers.name;
-        tag = answers.tag || null;
+  // Write a file via a temporary file, fsync and rename so readers never see a partial write
+  async writeFileAtomic(filePath, data, mode = 0o600) {
+    const tempPath = `${filePath}.tmp-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+    const handle = await fs.promises.open(tempPath, 'w', mode);
+    try {
+      await handle.writeFile(data, 'utf8');
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
 
-        if (answers.source === 'manual') {
-          const contentAnswer = await inquirer.prompt([
-            {
-              type: 'editor',
-              name: 'content',
-              message: 'Enter SSH key content:',
-              validate: (input) => input.trim() ? true : 'Key content is required'
-            }
-          ]);
-          keyContent = contentAnswer.content.trim();
-        } else if (answers.source === 'file') {
-          const fileAnswer = await inquirer.prompt([
-            {
-              type: 'input',
-              name: 'filePath',
-              message: 'Enter path to SSH key file:',
-              validate: (input) => {
-                try {
-                  return fs.existsSync(input) ? true : 'File does not exist';
-                } catch {
-                  return 'Invalid file path';
-                }
-              }
-            }
-          ]);
-          
-          sourcePath = fileAnswer.filePath;
-          keyContent = await fs.readFile(fileAnswer.filePath, 'utf8');
-        } else if (answers.source === 'scan') {
-          const scannedKeys = await this.scanCommonLocations();
-          if (scannedKeys.length === 0) {
-            console.log(chalk.yellow('No SSH keys found in common locations.'));
-            return;
-          }
+    try {
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.remove(tempPath);
+      throw error;
+    }
+  }
 
-          const keyChoices = scannedKeys.map(key => ({
-            name: `${key.name} (${key.path})`,
-            value: key
-          }));
+  // Re-encrypt the vault with a new password, or with the machine key when newPassword is null.
+  // Backups are copies of the vault as it was, still readable with the old key, so they are removed.
+  async rekeyVault(newPassword) {
+    return this.withVaultLock(() => this.rekeyVaultLocked(newPassword));
+  }
 
-          const selectedKey = await inquirer.prompt([
-            {
-              type: 'list',
-              name: 'key',
-              message: 'Select a key to add:',
-              choices: keyChoices
-            }
-          ]);
+  async rekeyVaultLocked(newPassword) {
+    const filePath = this.getKeysFilePath();
+    const vaultExists = fs.existsSync(filePath);
+    let plaintext = null;
+    let document = { keys: [], trash: [], history: [] };
 
-          keyContent = selectedKey.key.content;
-          sourcePath = selectedKey.key.path;
-        }
+    if (vaultExists) {
+      const content = await fs.readFile(filePath, 'utf8');
+      try {
+        await this.ensureUnlocked(isLegacyVault(content) ? null : readVaultHeader(content).kdf);
+        plaintext = this.decryptData(content);
+        document = parseVaultDocument(plaintext);
+      } catch (error) {
+        throw new DecryptError(`The current vault could not be decrypted (${error.message}). Nothing was changed.`, { cause: error });
       }
+    }
+
+    // Always start from a fresh salt so the old key is useless against the new file
+    const kdf = createKdfParams(this.config.get('kdf'), this.config.get('kdfCost'));
+    const key = deriveKey(newPassword ? Buffer.from(newPassword, 'utf8') : this.machineKey, kdf);
+
+    if (vaultExists) {
+      const encrypted = encryptVault(plaintext, key, kdf);
 
-      // Validate key content
-      if (!keyContent || !keyContent.trim()) {
-        throw new Error('Key content is required');
+      // Verify the new file decrypts to the same content before replacing the old one
+      if (decryptVault(encrypted, () => key).plaintext !== plaintext) {
+        throw new Error('Verification of the re-encrypted vault failed. Nothing was changed.');
       }
 
-      const keyType = this.detectKeyType(keyContent);
-      const now = new Date().toISOString();
+      await this.writeVault(encrypted);
+    }
+    const removedBackups = await this.removeBackups();
+    this.forgetLegacyPassword();
+
+    this.setVaultSetting('encryptionMode', newPassword ? 'password' : 'machine');
+    this.session.clear(filePath);
+    this.password = newPassword;
+    this.sessionKey = null;
+    this.vaultKdf = kdf;
+    this.vaultDocument = vaultExists ? document : null;
+    this.keysCache = vaultExists ? document.keys.map(normalizeKeyTags) : null;
+
+    return { keys: document.keys.length, removedBackups };
+  }
 
-      const newKey = {
-        id: this.generateId(),
-        name: name.trim(),
-        tag: tag ? tag.trim() : null,
-        key: keyContent.trim(),
-        key_type: keyType,
-        created: now,
-        last_modified: now
-      };
+  // Save keys to file, appending any changes recorded since the vault was loaded to its history
+  async saveKeys(keys) {
+    const history = [...((this.vaultDocument && this.vaultDocument.history) || [])];
+    const at = new Date().toISOString();
+    const user = this.getDefaultKeyComment();
+    for (const change of this.pendingChanges) {
+      const id = history.length > 0 ? history[history.length - 1].id + 1 : 1;
+      history.push({ id, at, user, ...change });
+    }
 
-      const keys = await this.loadKeys();
-      keys.push(newKey);
-      await this.saveKeys(keys);
+    const document = { ...(this.vaultDocument || {}), keys, history };
+    const data = JSON.stringify(document, null, 2);
+    await this.ensureUnlocked(this.getKdfParams());
+    const encryptedData = this.encryptData(data);
+
+    await this.writeVault(encryptedData);
+    this.pendingChanges = [];
+    this.vaultDocument = document;
+    this.keysCache = keys;
+    this.forgetLegacyPassword();
+  }
+
+  // Note a change to be written to the vault history by the next save
+  recordChange(action, summary, changes, details = {}) {
+    this.pendingChanges.push({ action, summary, ...details, changes });
+  }
+
+  // Generate unique ID
+  generateId() {
+    return crypto.randomUUID();
+  }
+
+  // Detect key type from content
+  detectKeyType(keyContent) {
+    let publicKey = keyContent;
+    try {
+      publicKey = convertKeyContent(keyContent).publicKey;
+    } catch {
+      return 'Unknown';
+    }
+    const parsed = tryParsePublicKey(publicKey);
+    return parsed ? parsed.keyType : 'Unknown';
+  }
 
-      console.log(chalk.green(`✓ SSH key "${name}" added successfully!`));
-      console.log(chalk.gray(`ID: ${newKey.id}`));
-      console.log(chalk.gray(`Type: ${keyType}`));
+  // Convert a PuTTY or RFC 4716 key file to OpenSSH, throwing a readable error
+  convertKeyFile(content) {
+    try {
+      return convertKeyContent(content);
+    } catch (error) {
+      const label = isPuttyKey(content) ? 'PuTTY key file' : 'SSH2 public key';
+      throw new InvalidKeyError(`Invalid ${label}: ${error.message}`, { cause: error });
+    }
+  }
 
+  // Parse and validate public key content, throwing a readable error
+  parseKeyContent(keyContent) {
+    try {
+      return parsePublicKey(keyContent);
     } catch (error) {
-      console.error(chalk.red('Error adding key:'), error.message);
+      throw new InvalidKeyError(`Invalid SSH public key: ${error.message}`, { cause: error });
     }
   }
 
-  // Edit a key
-  async editKey(id, options = {}) {
+  // Parse and validate private key content, throwing a readable error
+  parsePrivateKeyContent(privateContent) {
     try {
-      const keys = await this.loadKeys();
-      const keyIndex = keys.findIndex(k => k.id === id);
-      
-      if (keyIndex === -1) {
-        console.error(chalk.red(`Key with ID "${id}" not found.`));
-        return;
+      return parsePrivateKey(privateContent);
+    } catch (error) {
+      throw new InvalidKeyError(`Invalid SSH private key: ${error.message}`, { cause: error });
+    }
+  }
+
+  // Resolve public and/or private key content into one validated key pair.
+  // PuTTY and RFC 4716 files are converted to OpenSSH; parsed.originalFormat records what they were.
+  resolveKeyMaterial(keyContent, privateContent = null) {
+    if (isPrivateKey(keyContent)) {
+      privateContent = keyContent;
+      keyContent = null;
+    }
+
+    let originalFormat = null;
+    if (isPuttyKey(privateContent)) {
+      const converted = this.convertKeyFile(privateContent);
+      if (!converted.privateKey) {
+        throw new InvalidKeyError(`Cannot read the private key from this PuTTY file: ${converted.privateNote}. Export it in OpenSSH format with PuTTYgen.`);
+      }
+      privateContent = converted.privateKey;
+      keyContent = keyContent || converted.publicKey;
+    }
+    if (isPuttyKey(keyContent) || isRfc4716(keyContent)) {
+      const converted = this.convertKeyFile(keyContent);
+      keyContent = converted.publicKey;
+      privateContent = privateContent || converted.privateKey;
+      originalFormat = converted.format;
+      if (converted.privateNote && converted.format !== 'rfc4716') {
+        console.log(chalk.yellow(`Only the public key was read from the PuTTY file: ${converted.privateNote}.`));
       }
+    }
 
-      const key = keys[keyIndex];
-      let updates = {};
+    const privateInfo = privateContent ? this.parsePrivateKeyContent(privateContent) : null;
+    const publicContent = keyContent || (privateInfo && privateInfo.publicKey);
 
-      // Interactive mode if not all options provided
-      if (!options.name && !options.tag && !options.content) {
-        const answers = await inquirer.prompt([
-          {
-            type: 'input',
-            name: 'name',
-            message: 'Enter new key name:',
-            default: key.name
-          },
-          {
-            type: 'input',
-            name: 'tag',
-            message: 'Enter new key tag:',
-            default: key.tag || ''
-          },
-          {
+    if (!publicContent) {
+      throw new InvalidKeyError('Cannot derive the public key from this private key; provide the matching .pub file as well');
+    }
+
+    const parsed = this.parseKeyContent(publicContent);
+
+    if (privateInfo && privateInfo.fingerprint && privateInfo.fingerprint !== parsed.fingerprint) {
+      throw new InvalidKeyError('Private key does not match the public key');
+    }
+
+    return { parsed: { ...parsed, originalFormat }, privateInfo };
+  }
+
+  // Fields derived from the parsed key that are stored on each record
+  getKeyFields(parsed, privateInfo = null) {
+    const fields = {
+      key: parsed.normalized,
+      key_type: parsed.keyType,
+      bits: parsed.bits,
+      fingerprint: parsed.fingerprint,
+      comment: parsed.comment || null,
+      original_format: parsed.originalFormat || null
+    };
+
+    if (privateInfo) {
+      Object.assign(fields, {
+        private_key: privateInfo.content,
+        private_key_format: privateInfo.format,
+        private_key_encrypted: privateInfo.encrypted
+      });
+    }
+
+    return fields;
+  }
+
+  // Remove private key material from a record, e.g. before exporting
+  stripPrivateKey(key) {
+    const { private_key, private_key_format, private_key_encrypted, ...publicFields } = key;
+    return publicFields;
+  }
+
+  // Resolve a key reference (ID or ID prefix, name, fingerprint or list number) to its index
+  async resolveKeyIndex(keys, ref) {
+    const { by, matches } = findKeyMatches(keys, ref);
+    if (matches.length === 1) {
+      return matches[0];
+    }
+    if (matches.length === 0) {
+      throw new NotFoundError(`No key matches "${ref}". Use an ID or ID prefix, a name, a SHA256: fingerprint or a list number.`);
+    }
+
+    const candidates = matches.map(index => describeKeyCandidate(keys[index], index));
+    if (process.stdin.isTTY && process.stdout.isTTY && !isMachineOutput()) {
+      const answer = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'index',
+          message: `"${ref}" matches ${matches.length} keys by ${by}. Which one do you mean?`,
+          choices: matches.map((index, i) => ({ name: candidates[i], value: index }))
+        }
+      ]);
+      return answer.index;
+    }
+
+    throw new AmbiguousReferenceError(
+      `"${ref}" matches ${matches.length} keys by ${by}:\n${candidates.map(candidate => `  ${candidate}`).join('\n')}`,
+      candidates
+    );
+  }
+
+  // Plain record for machine-readable output; private key material only when asked for
+  toKeyRecord(key, includePrivate = false) {
+    const { private_key: privateKey, ...record } = key;
+    return {
+      ...record,
+      has_private_key: Boolean(privateKey),
+      ...(includePrivate && privateKey ? { private_key: privateKey } : {})
+    };
+  }
+
+  // ssh-keygen -l style fingerprint line for a stored record
+  getFingerprintLine(key, hash = 'sha256') {
+    const parsed = tryParsePublicKey(key.key);
+    return parsed ? formatFingerprint(parsed, hash) : 'invalid key';
+  }
+
+  // Columns, sort order and page for listKeys, validated before the vault is opened
+  getListView(options = {}) {
+    const columns = options.columns
+      ? String(options.columns).split(',').map(column => column.trim().toLowerCase()).filter(Boolean)
+      : DEFAULT_TABLE_COLUMNS;
+    const unknown = columns.find(column => !TABLE_COLUMNS[column]);
+    if (unknown) {
+      throw new UsageError(`Unknown column "${unknown}". Use any of: ${Object.keys(TABLE_COLUMNS).join(', ')}`);
+    }
+
+    const sort = options.sort ? options.sort.toLowerCase() : null;
+    if (sort && !TABLE_COLUMNS[sort]) {
+      throw new UsageError(`Cannot sort by "${options.sort}". Use any of: ${Object.keys(TABLE_COLUMNS).join(', ')}`);
+    }
+
+    const toCount = (value, option) => {
+      if (value === undefined || value === null) return null;
+      if (!/^\d+$/.test(String(value))) {
+        throw new UsageError(`${option} needs a whole number, not "${value}"`);
+      }
+      return Number(value);
+    };
+
+    return {
+      columns,
+      sort,
+      reverse: Boolean(options.reverse),
+      limit: toCount(options.limit, '--limit'),
+      offset: toCount(options.offset, '--offset') || 0
+    };
+  }
+
+  // Sort keys by a table column; keys without a value go last
+  sortKeys(keys, column, reverse = false, context = this.getListContext()) {
+    const { sortValue, value } = TABLE_COLUMNS[column];
+    const valueOf = sortValue || value;
+    const direction = reverse ? -1 : 1;
+    return [...keys].sort((a, b) => {
+      const left = valueOf(a, context);
+      const right = valueOf(b, context);
+      const leftMissing = left === null || left === undefined || left === '';
+      const rightMissing = right === null || right === undefined || right === '';
+      if (leftMissing || rightMissing) {
+        return leftMissing === rightMissing ? 0 : leftMissing ? 1 : -1;
+      }
+      if (typeof left === 'number' && typeof right === 'number') {
+        return (left - right) * direction;
+      }
+      return String(left).localeCompare(String(right), undefined, { sensitivity: 'base', numeric: true }) * direction;
+    });
+  }
+
+  // Expiry state of a key under the vault's rotation policy
+  getKeyExpiry(key, now = Date.now()) {
+    return getExpiryStatus(key, {
+      defaultRotateEvery: this.getVaultSetting('rotateEvery'),
+      warningMs: parseDuration(this.config.get('expiryWarning'), 'd'),
+      now
+    });
+  }
+
+  // Shared state for computed table columns, with expiry worked out once per key
+  getListContext() {
+    const expiries = new Map();
+    const now = Date.now();
+    return {
+      expiryOf: (key) => {
+        if (!expiries.has(key)) {
+          expiries.set(key, this.getKeyExpiry(key, now));
+        }
+        return expiries.get(key);
+      }
+    };
+  }
+
+  // List all keys
+  async listKeys(options = {}) {
+    const matchesQuery = compileQuery(options.query);
+    const view = this.getListView(options);
+    const spinner = createSpinner('Loading SSH keys...').start();
+    let keys;
+    try {
+      keys = await this.loadKeys();
+    } finally {
+      spinner.stop();
+    }
+
+    if (keys.length === 0 && !isMachineOutput()) {
+      console.log(chalk.yellow('No SSH keys found.'));
+      console.log(chalk.blue('Use "ssh-kim add" to add your first key.'));
+      return [];
+    }
+
+    // Apply filters
+    let filteredKeys = keys.filter(matchesQuery);
+    
+    if (options.search) {
+      const searchTerm = options.search.toLowerCase();
+      filteredKeys = filteredKeys.filter(key => 
+        key.name.toLowerCase().includes(searchTerm) ||
+        (key.tags || []).some(tag => tag.toLowerCase().includes(searchTerm)) ||
+        key.key_type.toLowerCase().includes(searchTerm)
+      );
+    }
+
+    const wantedTags = parseTags(options.tag);
+    if (wantedTags.length > 0) {
+      filteredKeys = filteredKeys.filter(key => matchesTags(key, wantedTags, options.allTags ? 'all' : 'any'));
+    }
+
+    if (options.type) {
+      filteredKeys = filteredKeys.filter(key => 
+        key.key_type.toLowerCase() === options.type.toLowerCase()
+      );
+    }
+
+    const matchCount = filteredKeys.length;
+    const context = this.getListContext();
+    if (view.sort) {
+      filteredKeys = this.sortKeys(filteredKeys, view.sort, view.reverse, context);
+    } else if (view.reverse) {
+      filteredKeys = [...filteredKeys].reverse();
+    }
+    filteredKeys = filteredKeys.slice(view.offset, view.limit === null ? undefined : view.offset + view.limit);
+
+    if (isMachineOutput()) {
+      printResult(filteredKeys.map(key => this.toKeyRecord(key)), KEY_COLUMNS);
+      return filteredKeys;
+    }
+
+    if (filteredKeys.length === 0) {
+      console.log(chalk.yellow(matchCount > 0 ? `No keys on this page (${matchCount} match).` : 'No keys match the specified criteria.'));
+      return filteredKeys;
+    }
+
+    // Numbers are positions in the vault, so "ssh-kim show 3" finds the same key after sorting or filtering
+    const positions = new Map(keys.map((key, index) => [key, index + 1]));
+    const range = filteredKeys.length < matchCount
+      ? `${view.offset + 1}-${view.offset + filteredKeys.length} of ${matchCount}`
+      : `${matchCount} found`;
+    const lines = [];
+
+    if (options.long) {
+      lines.push(chalk.bold.blue(`\nSSH Keys (${range}):\n`));
+      filteredKeys.forEach(key => {
+        const tagDisplay = (key.tags || []).map(tag => chalk.cyan(`[${tag}]`)).join(' ');
+        const dateDisplay = new Date(key.last_modified).toLocaleDateString();
+
+        lines.push(chalk.bold(`${positions.get(key)}. ${key.name}`) + ` ${tagDisplay}`);
+        lines.push(`   ID: ${chalk.gray(key.id)}`);
+        lines.push(`   Type: ${chalk.green(key.key_type)}${key.private_key ? chalk.magenta(' + private key') : ''}`);
+        lines.push(`   Fingerprint: ${chalk.gray(this.getFingerprintLine(key))}`);
+        lines.push(`   Modified: ${chalk.gray(dateDisplay)}`);
+        const expiry = context.expiryOf(key);
+        if (expiry.due_at) {
+          const label = expiry.reason === 'rotation' ? 'Rotation due' : 'Expires';
+          lines.push(`   ${label}: ${EXPIRY_STYLES[expiry.status](`${new Date(expiry.due_at).toLocaleDateString()} (${describeExpiry(expiry)})`)}`);
+        }
+        lines.push(`   Key: ${chalk.gray(key.key.substring(0, 50))}...`);
+        lines.push('');
+      });
+    } else {
+      // Keys with an expiry or rotation date get the column even when it wasn't asked for
+      const columnNames = !options.columns && filteredKeys.some(key => context.expiryOf(key).due_at)
+        ? [...view.columns, 'expires']
+        : view.columns;
+      const columns = [
+        { header: '#', align: 'right', color: chalk.gray },
+        ...columnNames.map(column => {
+          const definition = TABLE_COLUMNS[column];
+          return definition.style
+            ? { ...definition, rowColor: (index) => definition.style(filteredKeys[index], context) }
+            : definition;
+        })
+      ];
+      const rows = filteredKeys.map(key => [
+        String(positions.get(key)),
+        ...columnNames.map(column => {
+          const value = TABLE_COLUMNS[column].value(key, context);
+          return value === null || value === undefined ? '' : String(value);
+        })
+      ]);
+      lines.push(formatTable(rows, columns, process.stdout.isTTY ? process.stdout.columns : null));
+      lines.push(chalk.gray(`\n${filteredKeys.length < matchCount ? `Keys ${range}` : `${matchCount} key${matchCount === 1 ? '' : 's'}`}`));
+    }
+
+    printPaged(lines.join('\n'), { pager: options.pager !== false });
+    return filteredKeys;
+  }
+
+  // Add a new key
+  async addKey(options = {}) {
+    const expiryFields = this.getExpiryFields(options);
+    let name = options.name;
+    let tags = parseTags(options.tag);
+    let keyContent = options.content;
+    let privateContent = null;
+    let sourcePath = '';
+    let sourceHash = null;
+
+    if (options.file) {
+      ({ keyContent, privateContent, sourceHash } = await this.readKeyFile(options.file));
+      sourcePath = options.file;
+    }
+
+    if (options.privateKey) {
+      privateContent = await fs.readFile(options.privateKey, 'utf8');
+    }
+
+    // Interactive mode if not all options provided
+    if (!name || !(keyContent || privateContent)) {
+      const answers = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'name',
+          message: 'Enter key name:',
+          default: name,
+          validate: (input) => input.trim() ? true : 'Name is required'
+        },
+        {
+          type: 'input',
+          name: 'tags',
+          message: 'Enter key tags, comma-separated (optional):',
+          default: tags.join(', ')
+        },
+        {
+          type: 'list',
+          name: 'source',
+          message: 'How would you like to add the key?',
+          choices: [
+            { name: 'Enter key content manually', value: 'manual' },
+            { name: 'Read from file', value: 'file' },
+            { name: 'Scan common locations', value: 'scan' }
+          ]
+        }
+      ]);
+
+      name = answers.name;
+      tags = parseTags(answers.tags);
+
+      if (answers.source === 'manual') {
+        const contentAnswer = await inquirer.prompt([
+          {
+            type: 'editor',
+            name: 'content',
+            message: 'Enter SSH key content:',
+            validate: (input) => input.trim() ? true : 'Key content is required'
+          }
+        ]);
+        keyContent = contentAnswer.content.trim();
+      } else if (answers.source === 'file') {
+        const fileAnswer = await inquirer.prompt([
+          {
+            type: 'input',
+            name: 'filePath',
+            message: 'Enter path to SSH key file:',
+            validate: (input) => {
+              try {
+                return fs.existsSync(input) ? true : 'File does not exist';
+              } catch {
+                return 'Invalid file path';
+              }
+            }
+          }
+        ]);
+        
+        sourcePath = fileAnswer.filePath;
+        ({ keyContent, privateContent, sourceHash } = await this.readKeyFile(fileAnswer.filePath));
+      } else if (answers.source === 'scan') {
+        const scannedKeys = await this.scanLocations();
+        if (scannedKeys.length === 0) {
+          console.log(chalk.yellow('No SSH keys found in common locations.'));
+          return;
+        }
+
+        const keyChoices = scannedKeys.map(key => ({
+          name: `${key.name} (${key.path})`,
+          value: key
+        }));
+
+        const selectedKey = await inquirer.prompt([
+          {
+            type: 'list',
+            name: 'key',
+            message: 'Select a key to add:',
+            choices: keyChoices
+          }
+        ]);
+
+        keyContent = selectedKey.key.content;
+        privateContent = selectedKey.key.privateKey ? selectedKey.key.privateKey.content : null;
+        sourcePath = selectedKey.key.path;
+        sourceHash = selectedKey.key.sourceHash;
+      }
+    }
+
+    // Validate key content
+    if ((!keyContent || !keyContent.trim()) && !privateContent) {
+      throw new InvalidKeyError('Key content is required');
+    }
+
+    const { parsed, privateInfo } = this.resolveKeyMaterial(keyContent, privateContent);
+    const now = new Date().toISOString();
+
+    const newKey = {
+      id: this.generateId(),
+      name: name.trim(),
+      tags,
+      ...expiryFields,
+      ...this.getKeyFields(parsed, privateInfo),
+      ...(sourcePath ? { source_path: path.resolve(sourcePath), source_hash: sourceHash } : {}),
+      created: now,
+      last_modified: now
+    };
+
+    await this.withVaultLock(async () => {
+      const keys = await this.loadKeys();
+      keys.push(newKey);
+      this.recordChange('add', `Added "${newKey.name}"`, [keyChange(null, newKey, keys.length - 1)]);
+      await this.saveKeys(keys);
+    });
+
+    console.log(chalk.green(`✓ SSH key "${name}" added successfully!`));
+    console.log(chalk.gray(`ID: ${newKey.id}`));
+    console.log(chalk.gray(`Type: ${newKey.key_type}`));
+    console.log(chalk.gray(`Fingerprint: ${formatFingerprint(parsed)}`));
+    if (privateInfo) {
+      console.log(chalk.gray(`Private key: stored (${describePrivateKey(privateInfo.format, privateInfo.encrypted)})`));
+    }
+    return newKey;
+  }
+
+  // expires_at / rotate_every from --expires and --rotate-every; a "none" value clears the field
+  getExpiryFields(options = {}) {
+    const fields = {};
+    if (options.expires !== undefined) {
+      fields.expires_at = parseExpiry(options.expires);
+    }
+    if (options.rotateEvery !== undefined) {
+      fields.rotate_every = parseRotationInterval(options.rotateEvery);
+    }
+    return fields;
+  }
+
+  // Read a key file, pairing a private key with its .pub file when present. sourceHash is the
+  // hash of the file that was asked for, stored to notice later changes.
+  async readKeyFile(filePath) {
+    const content = await fs.readFile(filePath, 'utf8');
+    const sourceHash = hashSourceContent(content);
+    if (!isPrivateKey(content)) {
+      return { keyContent: content, privateContent: null, sourceHash };
+    }
+
+    const publicPath = `${filePath}.pub`;
+    const keyContent = fs.existsSync(publicPath) ? await fs.readFile(publicPath, 'utf8') : null;
+    return { keyContent, privateContent: content, sourceHash };
+  }
+
+  // Generate a new key pair and register it in the vault
+  async generateKey(options = {}) {
+    const expiryFields = this.getExpiryFields(options);
+    let type = options.type;
+    let bits = options.bits;
+    let fileName = options.file;
+    let name = options.name;
+    let tags = parseTags(options.tag);
+    let comment = options.comment;
+    let passphrase = options.passphrase || null;
+    const sshDir = options.dir || this.config.get('defaultSSHDir');
+
+    // Interactive mode if no key type provided
+    if (!type) {
+      const answers = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'type',
+          message: 'Select key type:',
+          choices: [
+            { name: 'Ed25519 (recommended)', value: 'ed25519' },
+            { name: 'ECDSA', value: 'ecdsa' },
+            { name: 'RSA', value: 'rsa' }
+          ]
+        },
+        {
+          type: 'list',
+          name: 'bits',
+          message: 'Select curve size:',
+          choices: GENERATE_TYPES.ecdsa.allowedBits.map(size => ({ name: `P-${size}`, value: size })),
+          when: (current) => current.type === 'ecdsa'
+        },
+        {
+          type: 'input',
+          name: 'bits',
+          message: 'Enter key size in bits:',
+          default: GENERATE_TYPES.rsa.defaultBits,
+          when: (current) => current.type === 'rsa',
+          validate: (input) => {
+            try {
+              resolveKeySpec('rsa', input);
+              return true;
+            } catch (error) {
+              return error.message;
+            }
+          }
+        },
+        {
+          type: 'input',
+          name: 'file',
+          message: 'Enter file name:',
+          default: (current) => fileName || `id_${current.type}`,
+          validate: (input) => input.trim() ? true : 'File name is required'
+        },
+        {
+          type: 'input',
+          name: 'name',
+          message: 'Enter key name:',
+          default: (current) => name || current.file
+        },
+        {
+          type: 'input',
+          name: 'tags',
+          message: 'Enter key tags, comma-separated (optional):',
+          default: tags.join(', ')
+        },
+        {
+          type: 'input',
+          name: 'comment',
+          message: 'Enter key comment:',
+          default: comment || this.getDefaultKeyComment()
+        },
+        {
+          type: 'password',
+          name: 'passphrase',
+          message: 'Enter passphrase (empty for no passphrase):',
+          mask: '*'
+        },
+        {
+          type: 'password',
+          name: 'confirmPassphrase',
+          message: 'Confirm passphrase:',
+          mask: '*',
+          when: (current) => !!current.passphrase,
+          validate: (input, current) => input === current.passphrase ? true : 'Passphrases do not match'
+        }
+      ]);
+
+      type = answers.type;
+      bits = answers.bits;
+      fileName = answers.file.trim();
+      name = answers.name;
+      tags = parseTags(answers.tags);
+      comment = answers.comment;
+      passphrase = answers.passphrase || null;
+    }
+
+    const spec = resolveKeySpec(type, bits);
+    fileName = fileName || `id_${spec.type}`;
+    name = name || fileName;
+    comment = comment !== undefined ? comment : this.getDefaultKeyComment();
+
+    const privatePath = path.join(sshDir, fileName);
+    const publicPath = `${privatePath}.pub`;
+
+    if (!options.force) {
+      for (const target of [privatePath, publicPath]) {
+        if (fs.existsSync(target)) {
+          throw new ConflictError(`"${target}" already exists. Use --force to overwrite it.`);
+        }
+      }
+    }
+
+    const spinner = createSpinner(`Generating ${GENERATE_TYPES[spec.type].label} key pair...`).start();
+    let generated;
+    try {
+      generated = await generateKeyPair({ ...spec, comment, passphrase });
+    } finally {
+      spinner.stop();
+    }
+
+    await fs.ensureDir(sshDir, { mode: 0o700 });
+    await fs.writeFile(privatePath, generated.privateKey, { mode: 0o600 });
+    await fs.chmod(privatePath, 0o600);
+    await fs.writeFile(publicPath, generated.publicKey + '\n', { mode: 0o644 });
+    await fs.chmod(publicPath, 0o644);
+
+    const now = new Date().toISOString();
+    const newKey = {
+      id: this.generateId(),
+      name: name.trim(),
+      tags,
+      ...expiryFields,
+      ...this.getKeyFields(generated.parsed),
+      source_path: path.resolve(publicPath),
+      source_hash: hashSourceContent(generated.publicKey + '\n'),
+      created: now,
+      last_modified: now
+    };
+
+    await this.withVaultLock(async () => {
+      const keys = await this.loadKeys();
+      keys.push(newKey);
+      this.recordChange('add', `Generated "${newKey.name}"`, [keyChange(null, newKey, keys.length - 1)]);
+      await this.saveKeys(keys);
+    });
+
+    console.log(chalk.green(`✓ SSH key "${newKey.name}" generated successfully!`));
+    console.log(chalk.gray(`ID: ${newKey.id}`));
+    console.log(chalk.gray(`Private key: ${privatePath}${passphrase ? ' (passphrase protected)' : ''}`));
+    console.log(chalk.gray(`Public key: ${publicPath}`));
+    console.log(chalk.gray(`Fingerprint: ${formatFingerprint(generated.parsed)}`));
+    return { key: newKey, privatePath, publicPath };
+  }
+
+  // Default comment for generated keys, like ssh-keygen uses
+  getDefaultKeyComment() {
+    try {
+      return `${os.userInfo().username}@${os.hostname()}`;
+    } catch {
+      return os.hostname();
+    }
+  }
+
+  // Edit a key
+  async editKey(ref, options = {}) {
+    return this.withVaultLock(async () => {
+      const keys = await this.loadKeys();
+      const keyIndex = await this.resolveKeyIndex(keys, ref);
+
+      const key = keys[keyIndex];
+      const before = structuredClone(key);
+      let updates = {};
+      let privateContent = null;
+
+      if (options.privateKey) {
+        privateContent = await fs.readFile(options.privateKey, 'utf8');
+      }
+
+      // Interactive mode if not all options provided
+      const expiryFields = this.getExpiryFields(options);
+      if (!options.name && !options.tag && !options.content && !privateContent && !options.removePrivate && Object.keys(expiryFields).length === 0) {
+        const answers = await inquirer.prompt([
+          {
+            type: 'input',
+            name: 'name',
+            message: 'Enter new key name:',
+            default: key.name
+          },
+          {
+            type: 'input',
+            name: 'tags',
+            message: 'Enter key tags, comma-separated:',
+            default: (key.tags || []).join(', ')
+          },
+          {
             type: 'confirm',
             name: 'updateContent',
             message: 'Do you want to update the key content?',
@@ -391,7 +1464,7 @@ export class SSHKeyManager {
         ]);
 
         updates.name = answers.name.trim();
-        updates.tag = answers.tag.trim() || null;
+        updates.tags = parseTags(answers.tags);
 
         if (answers.updateContent) {
           const contentAnswer = await inquirer.prompt([
@@ -406,8 +1479,32 @@ export class SSHKeyManager {
         }
       } else {
         if (options.name) updates.name = options.name;
-        if (options.tag !== undefined) updates.tag = options.tag || null;
+        if (options.tag !== undefined) updates.tags = parseTags(options.tag);
         if (options.content) updates.key = options.content;
+        Object.assign(updates, expiryFields);
+      }
+
+      if (updates.key !== undefined || privateContent) {
+        const storedPrivate = options.removePrivate ? null : key.private_key;
+        const { parsed, privateInfo } = this.resolveKeyMaterial(
+          updates.key !== undefined ? updates.key : key.key,
+          privateContent || storedPrivate
+        );
+        const fields = this.getKeyFields(parsed, privateInfo);
+        // Attaching a private key leaves the format the public key came in alone
+        if (updates.key === undefined) {
+          delete fields.original_format;
+        }
+        Object.assign(updates, fields);
+
+        // New key material restarts the rotation interval
+        if (updates.key !== key.key) {
+          updates.rotated_at = new Date().toISOString();
+        }
+      }
+
+      if (options.removePrivate) {
+        keys[keyIndex] = this.stripPrivateKey(key);
       }
 
       // Apply updates
@@ -415,555 +1512,2246 @@ export class SSHKeyManager {
         last_modified: new Date().toISOString()
       });
 
+      const fields = changedFields(before, keys[keyIndex]);
+      this.recordChange('edit', `Edited "${before.name}"${fields.length > 0 ? ` (${fields.join(', ')})` : ''}`, [keyChange(before, keys[keyIndex], keyIndex)]);
       await this.saveKeys(keys);
       console.log(chalk.green(`✓ SSH key "${keys[keyIndex].name}" updated successfully!`));
+      return keys[keyIndex];
+    });
+  }
+
+  // Delete a key: move it to the trash, or remove it for good with options.purge
+  async deleteKey(ref, options = {}) {
+    return this.withVaultLock(async () => {
+      const keys = await this.loadKeys();
+      const keyIndex = await this.resolveKeyIndex(keys, ref);
+
+      const key = keys[keyIndex];
+
+      // Confirmation
+      if (!options.force) {
+        const answer = await inquirer.prompt([
+          {
+            type: 'confirm',
+            name: 'confirm',
+            message: options.purge
+              ? `Are you sure you want to permanently delete "${key.name}"? Vault backups and older copies of the vault are deleted too.`
+              : `Are you sure you want to delete "${key.name}"?`,
+            default: false
+          }
+        ]);
+
+        if (!answer.confirm) {
+          throw new CancelledError('Deletion cancelled');
+        }
+      }
+
+      keys.splice(keyIndex, 1);
+      if (options.purge) {
+        await this.purgeKeys([key], `Permanently deleted "${key.name}"`, keys, keyIndex);
+        console.log(chalk.green(`✓ SSH key "${key.name}" permanently deleted.`));
+        return key;
+      }
+
+      const trashed = { ...key, deleted_at: new Date().toISOString() };
+      this.vaultDocument.trash.push(trashed);
+      this.recordChange('delete', `Moved "${key.name}" to the trash`, [keyChange(key, trashed, keyIndex)]);
+      await this.saveKeys(keys);
+      console.log(chalk.green(`✓ SSH key "${key.name}" moved to the trash.`));
+      console.log(chalk.gray(`Restore it with "ssh-kim restore ${key.id.slice(0, 8)}".`));
+      return trashed;
+    });
+  }
+
+  // Older copies of the vault kept outside the backups: the pre-upgrade .v1.bak, unreadable files set
+  // aside by recoverVault and the file left behind by the move out of ./data
+  getStaleVaultCopies() {
+    const filePath = this.getKeysFilePath();
+    const dir = path.dirname(filePath);
+    const prefix = `${path.basename(filePath)}.corrupt-`;
+    const copies = [`${filePath}.v1.bak`];
+    if (fs.existsSync(dir)) {
+      copies.push(...fs.readdirSync(dir).filter(file => file.startsWith(prefix)).map(file => path.join(dir, file)));
+    }
+    if (this.vaultName === DEFAULT_VAULT && !this.getVaultSetting('path')) {
+      copies.push(`${getLegacyVaultPath()}.migrated`);
+    }
+    return copies.filter(copy => fs.existsSync(copy));
+  }
+
+  // Save the vault after keys were removed for good: the purge is logged without copies of the keys,
+  // earlier snapshots of them are redacted, and backups and older copies of the vault are deleted
+  async purgeKeys(purged, summary, keys, index = null) {
+    redactKeyHistory(this.vaultDocument.history, purged.map(key => key.id));
+    this.recordChange('purge', summary, purged.map(key => purgedChange(key, index)));
+    await this.saveKeys(keys);
+    const staleCopies = this.getStaleVaultCopies();
+    for (const copy of staleCopies) {
+      await fs.remove(copy);
+    }
+    const removed = await this.removeBackups() + staleCopies.length;
+    if (removed > 0 && !isMachineOutput()) {
+      console.log(chalk.yellow(`Deleted ${removed} vault backup${removed === 1 ? '' : 's'} and older cop${removed === 1 ? 'y' : 'ies'} that could still hold the deleted key${purged.length === 1 ? '' : 's'}.`));
+    }
+  }
+
+  // Deleted keys, oldest deletion first
+  async loadTrash() {
+    await this.loadKeys();
+    return this.vaultDocument.trash;
+  }
+
+  // Show the keys in the trash
+  async listTrash() {
+    const trash = await this.loadTrash();
+
+    if (isMachineOutput()) {
+      printResult(trash.map(key => this.toKeyRecord(key)), [...KEY_COLUMNS, 'deleted_at']);
+      return trash;
+    }
+    if (trash.length === 0) {
+      console.log(chalk.yellow('The trash is empty.'));
+      return trash;
+    }
+
+    console.log(chalk.bold.blue(`\nTrash (${trash.length} key${trash.length === 1 ? '' : 's'}):\n`));
+    const rows = trash.map((key, index) => [`${index + 1}`, key.name, key.id.slice(0, 8), key.key_type, new Date(key.deleted_at).toLocaleString()]);
+    console.log(formatTable(rows, [
+      { header: '#', align: 'right', color: chalk.gray },
+      { header: 'NAME' },
+      { header: 'ID', color: chalk.gray },
+      { header: 'TYPE', color: chalk.green },
+      { header: 'DELETED', color: chalk.gray }
+    ], process.stdout.isTTY ? process.stdout.columns : null));
+    console.log('');
+    return trash;
+  }
+
+  // Move a key from the trash back into the vault
+  async restoreKey(ref) {
+    return this.withVaultLock(async () => {
+      const keys = await this.loadKeys();
+      const trash = this.vaultDocument.trash;
+      const trashIndex = await this.resolveKeyIndex(trash, ref);
+
+      const [trashed] = trash.splice(trashIndex, 1);
+      const { deleted_at: deletedAt, ...key } = trashed;
+      keys.push(key);
+      this.recordChange('restore', `Restored "${key.name}" from the trash`, [keyChange(trashed, key, keys.length - 1)]);
+      await this.saveKeys(keys);
+
+      if (isMachineOutput()) {
+        printResult(this.toKeyRecord(key), KEY_COLUMNS);
+      } else {
+        console.log(chalk.green(`✓ SSH key "${key.name}" restored.`));
+      }
+      return key;
+    });
+  }
+
+  // Permanently delete keys from the trash, optionally only those deleted longer ago than olderThan
+  async emptyTrash(options = {}) {
+    const cutoff = options.olderThan ? Date.now() - parseDuration(options.olderThan, 'd') : null;
+
+    return this.withVaultLock(async () => {
+      const keys = await this.loadKeys();
+      const trash = this.vaultDocument.trash;
+      const purged = trash.filter(key => cutoff === null || Date.parse(key.deleted_at) < cutoff);
+
+      if (purged.length === 0) {
+        console.log(chalk.yellow(cutoff === null ? 'The trash is empty.' : `No keys in the trash were deleted more than ${options.olderThan} ago.`));
+        return [];
+      }
+
+      if (!options.force) {
+        const answer = await inquirer.prompt([
+          {
+            type: 'confirm',
+            name: 'confirm',
+            message: `Permanently delete ${purged.length} key${purged.length === 1 ? '' : 's'} from the trash? Vault backups and older copies of the vault are deleted too.`,
+            default: false
+          }
+        ]);
+
+        if (!answer.confirm) {
+          throw new CancelledError('Emptying the trash cancelled');
+        }
+      }
+
+      this.vaultDocument.trash = trash.filter(key => !purged.includes(key));
+      await this.purgeKeys(purged, `Emptied ${purged.length} key${purged.length === 1 ? '' : 's'} from the trash`, keys);
+
+      if (isMachineOutput()) {
+        printResult({ purged: purged.length, remaining: this.vaultDocument.trash.length });
+      } else {
+        console.log(chalk.green(`✓ Permanently deleted ${purged.length} key${purged.length === 1 ? '' : 's'} from the trash.`));
+      }
+      return purged;
+    });
+  }
+
+  // Handle "trash" subcommands
+  async manageTrash(action, options = {}) {
+    if (action === 'list') {
+      return this.listTrash();
+    } else if (action === 'empty') {
+      return this.emptyTrash(options);
+    } else if (action === 'restore') {
+      return this.restoreKey(options.key);
+    }
+    throw new UsageError(`Unknown trash action "${action}"`);
+  }
+
+  // Copy key to clipboard
+  async copyKey(ref, options = {}) {
+    const keys = await this.loadKeys();
+    const key = keys[await this.resolveKeyIndex(keys, ref)];
+
+    if (options.private) {
+      if (!key.private_key) {
+        throw new NotFoundError(`Key "${key.name}" has no stored private key`);
+      }
+      await clipboardy.write(key.private_key);
+      console.log(chalk.yellow(`⚠ Private key of "${key.name}" copied to clipboard. Clear it when you are done.`));
+      return key;
+    }
+
+    await clipboardy.write(key.key);
+    console.log(chalk.green(`✓ SSH key "${key.name}" copied to clipboard!`));
+    return key;
+  }
+
+  // Write a stored key to disk as <name>.pub (0644) and, when one is stored, the private key <name>
+  // (0600). Files that exist with other content are only replaced with options.force, and
+  // options.sshConfig adds a Host entry for the key to ~/.ssh/config (or the file it names).
+  async writeKey(ref, options = {}) {
+    const keys = await this.loadKeys();
+    const key = keys[await this.resolveKeyIndex(keys, ref)];
+    const dir = expandHome(options.to || this.config.get('defaultSSHDir'));
+    const fileName = options.name || this.getKeyFileName(key);
+    if (fileName !== path.basename(fileName) || fileName.endsWith('.pub')) {
+      throw new UsageError(`--name takes a file name without a directory or .pub, not "${fileName}"`);
+    }
+
+    const privatePath = path.join(dir, fileName);
+    const files = [{ path: `${privatePath}.pub`, content: `${key.key}\n`, mode: 0o644, label: 'public key' }];
+    if (key.private_key && options.private !== false) {
+      const content = key.private_key.endsWith('\n') ? key.private_key : `${key.private_key}\n`;
+      files.unshift({ path: privatePath, content, mode: 0o600, label: 'private key' });
+    }
+
+    // Check everything before writing anything
+    const conflicts = [];
+    for (const file of files) {
+      if (fs.existsSync(file.path)) {
+        file.unchanged = (await fs.readFile(file.path, 'utf8')).trim() === file.content.trim();
+        if (!file.unchanged) conflicts.push(file.path);
+      }
+    }
+
+    let hostEntry = null;
+    if (options.sshConfig) {
+      const configPath = options.sshConfig === true ? path.join(os.homedir(), '.ssh', 'config') : expandHome(options.sshConfig);
+      const host = options.host || toHostAlias(key.name);
+      // Without a private key file, ssh can still use the public key to pick the key from an agent
+      const block = toSshConfigHost(key, { host, identityFile: files.length > 1 ? privatePath : files[0].path });
+      const content = fs.existsSync(configPath) ? await fs.readFile(configPath, 'utf8') : '';
+      const existing = findHostBlock(content, host);
+      hostEntry = { configPath, host, block, content, unchanged: Boolean(existing) && existing.text.trim() === block, replaces: Boolean(existing) };
+      if (existing && !hostEntry.unchanged) conflicts.push(`${configPath} (Host ${host})`);
+    }
+
+    if (conflicts.length > 0 && !options.force) {
+      throw new ConflictError(`These already exist with different content: ${conflicts.join(', ')}. Use --force to overwrite them.`);
+    }
+
+    await fs.ensureDir(dir, { mode: 0o700 });
+    for (const file of files) {
+      if (!file.unchanged) {
+        await fs.writeFile(file.path, file.content, { mode: file.mode });
+      }
+      await fs.chmod(file.path, file.mode);
+    }
+    if (hostEntry && !hostEntry.unchanged) {
+      await fs.ensureDir(path.dirname(hostEntry.configPath), { mode: 0o700 });
+      await fs.writeFile(hostEntry.configPath, setHostBlock(hostEntry.content, hostEntry.host, hostEntry.block), { mode: 0o600 });
+    }
+
+    const result = {
+      key_id: key.id,
+      name: key.name,
+      public_key_path: `${privatePath}.pub`,
+      private_key_path: files.length > 1 ? privatePath : null,
+      ssh_config: hostEntry ? hostEntry.configPath : null,
+      host: hostEntry ? hostEntry.host : null
+    };
+    if (isMachineOutput()) {
+      printResult(result);
+      return result;
+    }
+
+    for (const file of files) {
+      console.log(file.unchanged
+        ? chalk.gray(`${file.path} is already up to date`)
+        : chalk.green(`✓ Wrote the ${file.label} of "${key.name}" to ${file.path}`));
+    }
+    if (key.private_key && options.private === false) {
+      console.log(chalk.gray('The stored private key was not written (--no-private).'));
+    }
+    if (hostEntry) {
+      console.log(hostEntry.unchanged
+        ? chalk.gray(`${hostEntry.configPath} already has this Host ${hostEntry.host} entry`)
+        : chalk.green(`✓ ${hostEntry.replaces ? 'Replaced' : 'Added'} Host ${hostEntry.host} in ${hostEntry.configPath}`));
+    }
+    return result;
+  }
+
+  // File name a key is written under: that of the key file it came from (without .pub), or one
+  // based on its name when it came from a file of another kind, such as authorized_keys or a .ppk
+  getKeyFileName(key) {
+    const sourceName = key.source_path ? path.basename(key.source_path).replace(/\.pub$/, '') : '';
+    if (sourceName && !path.extname(sourceName) && !/^authorized_keys2?$/.test(sourceName)) {
+      return sourceName;
+    }
+    return toHostAlias(key.name);
+  }
+
+  // Scan for SSH keys and list them, flagging the ones the vault already holds; with
+  // options.import the new ones are added to the vault
+  async scanKeys(options = {}) {
+    const spinner = createSpinner('Scanning for SSH keys...').start();
+    let foundKeys;
+    try {
+      foundKeys = await this.scanLocations(options);
+    } finally {
+      spinner.stop();
+    }
+    await this.markKeysInVault(foundKeys);
+
+    if (isMachineOutput()) {
+      if (options.import) {
+        return this.importCandidates(this.getNewScanCandidates(foundKeys), 'scan');
+      }
+      // The bare SHA256:… fingerprint, as list and import print it; key.fingerprint is the display line
+      printResult(foundKeys.map(key => {
+        const parsed = tryParsePublicKey(key.publicKey || key.content || '');
+        return {
+          name: key.name,
+          path: key.path,
+          type: key.type,
+          fingerprint: parsed ? parsed.fingerprint : null,
+          format: key.format || null,
+          in_vault: key.vaultKey === undefined ? null : key.vaultKey !== null,
+          vault_key: key.vaultKey || null,
+          private_key_path: key.privatePath || null,
+          private_key_format: key.privateKey ? key.privateKey.format : null,
+          private_key_encrypted: key.privateKey ? key.privateKey.encrypted : null,
+          key: key.publicKey || key.content || null
+        };
+      }), SCAN_COLUMNS);
+      return foundKeys;
+    }
+
+    if (foundKeys.length === 0) {
+      console.log(chalk.yellow(options.path ? 'No SSH keys found.' : 'No SSH keys found in common locations.'));
+      return foundKeys;
+    }
+
+    const newCount = foundKeys.filter(key => key.vaultKey === null).length;
+    console.log(chalk.bold.blue(`\nFound ${foundKeys.length} SSH keys (${newCount} not in the vault):\n`));
+    
+    foundKeys.forEach((key, index) => {
+      console.log(chalk.bold(`${index + 1}. ${key.name}`));
+      console.log(`   Path: ${chalk.gray(key.path)}`);
+      console.log(`   Type: ${chalk.green(key.type)}`);
+      if (key.fingerprint) {
+        console.log(`   Fingerprint: ${chalk.gray(key.fingerprint)}`);
+      }
+      if (key.format) {
+        console.log(`   Format: ${chalk.gray(`${FOREIGN_KEY_FORMATS[key.format]} (converted to OpenSSH on import)`)}`);
+      }
+      if (key.privateKey) {
+        console.log(`   Private: ${chalk.magenta(key.privatePath)} ${chalk.gray(`(${describePrivateKey(key.privateKey.format, key.privateKey.encrypted)})`)}`);
+      }
+      if (key.content) {
+        console.log(`   Key: ${chalk.gray((key.publicKey || key.content).substring(0, 50))}...`);
+      } else {
+        console.log(`   Key: ${chalk.yellow('public key unavailable (add the matching .pub file)')}`);
+      }
+      if (key.vaultKey) {
+        console.log(`   Vault: ${chalk.gray(`already stored as "${key.vaultKey}"`)}`);
+      } else if (key.vaultKey === null && key.fingerprint) {
+        console.log(`   Vault: ${chalk.cyan('new')}`);
+      }
+      console.log('');
+    });
+
+    if (options.import) {
+      return this.importCandidates(this.getNewScanCandidates(foundKeys), 'scan');
+    }
+    return foundKeys;
+  }
+
+  // Import candidates for the scanned keys the vault doesn't hold yet
+  getNewScanCandidates(foundKeys) {
+    return foundKeys.filter(key => key.vaultKey === null && key.fingerprint).map(key => this.toImportCandidate(key));
+  }
+
+  // Set vaultKey on each found key: the name of the stored key with the same fingerprint, or null.
+  // When the vault can't be unlocked the flag is left unset.
+  async markKeysInVault(foundKeys) {
+    let keys;
+    try {
+      keys = await this.loadKeys();
+    } catch (error) {
+      if (!(error instanceof VaultLockedError)) throw error;
+      console.log(chalk.yellow('The vault is locked, so keys it already holds are not marked.'));
+      return foundKeys;
+    }
+
+    for (const foundKey of foundKeys) {
+      const parsed = tryParsePublicKey(foundKey.publicKey || foundKey.content || '');
+      const stored = parsed ? keys.find(key => this.getKeyFingerprint(key) === parsed.fingerprint) : null;
+      foundKey.vaultKey = stored ? stored.name : null;
+    }
+    return foundKeys;
+  }
+
+  // Compare keys with the files they were read from and look for key files the vault doesn't
+  // hold yet. options.refresh updates keys whose file changed; options.import adds the new keys.
+  async syncKeys(options = {}) {
+    const spinner = createSpinner('Comparing the vault with disk...').start();
+    const report = [];
+    const updates = new Map();
+    let newKeys;
+    let tracked;
+    try {
+      const keys = await this.loadKeys();
+      const sources = new Map();
+      const matched = new Set();
+      const diskId = (foundKey) => `${path.resolve(foundKey.path)}\0${foundKey.publicKey || foundKey.content}`;
+
+      tracked = keys.filter(key => key.source_path);
+      for (const key of tracked) {
+        if (!sources.has(key.source_path)) {
+          sources.set(key.source_path, await this.readSourceFile(key.source_path));
+        }
+        const source = sources.get(key.source_path);
+        const row = { status: 'missing', key_id: key.id, name: key.name, path: key.source_path, fingerprint: this.getKeyFingerprint(key), detail: '' };
+        if (!source) {
+          report.push({ ...row, detail: 'the file no longer exists' });
+          continue;
+        }
+        if (source.hash === key.source_hash) {
+          continue;
+        }
+
+        // The key with the same fingerprint, or the only key of a file that now holds another one
+        const entry = source.entries.find(candidate => candidate.fields.fingerprint === row.fingerprint) ||
+          (source.entries.length === 1 ? source.entries[0] : null);
+        if (!entry) {
+          report.push({ ...row, detail: 'the key is no longer in the file' });
+          continue;
+        }
+        matched.add(diskId(entry.foundKey));
+        updates.set(key.id, { ...entry.fields, source_hash: source.hash });
+        const changes = getSourceChanges(key, entry.fields);
+        if (changes.length > 0) {
+          report.push({ ...row, status: 'changed', detail: changes.join(', ') });
+        }
+      }
+
+      // Look where scan does (or in --path) and in the tracked files for keys the vault doesn't hold
+      const roots = options.path && [].concat(options.path).length > 0
+        ? [].concat(options.path)
+        : this.getCommonSSHLocations().filter(location => fs.existsSync(location));
+      const sourcePaths = [...sources].filter(([, source]) => source).map(([sourcePath]) => sourcePath);
+      const foundKeys = await this.scanLocations({ ...options, path: [...roots, ...sourcePaths] });
+      await this.markKeysInVault(foundKeys);
+
+      const seen = new Set();
+      newKeys = foundKeys.filter(foundKey => {
+        const id = diskId(foundKey);
+        if (foundKey.vaultKey !== null || !foundKey.fingerprint || matched.has(id) || seen.has(id)) {
+          return false;
+        }
+        seen.add(id);
+        return true;
+      });
+      for (const foundKey of newKeys) {
+        const parsed = tryParsePublicKey(foundKey.publicKey || foundKey.content);
+        report.push({
+          status: 'new',
+          key_id: null,
+          name: foundKey.name,
+          path: path.resolve(foundKey.path),
+          fingerprint: parsed.fingerprint,
+          detail: foundKey.privateKey ? 'with private key' : ''
+        });
+      }
+    } finally {
+      spinner.stop();
+    }
+
+    const count = (status) => report.filter(row => row.status === status).length;
+    const summary = { tracked: tracked.length, changed: count('changed'), missing: count('missing'), new: count('new'), refreshed: 0, imported: 0 };
+    this.printSyncReport(report, summary, options);
+
+    if (options.refresh && updates.size > 0) {
+      summary.refreshed = await this.refreshFromSources(updates);
+      if (!isMachineOutput() && summary.refreshed > 0) {
+        console.log(chalk.green(`✓ Refreshed ${summary.refreshed} keys from disk.`));
+      }
+    }
+    if (options.import && newKeys.length > 0) {
+      const imported = await this.importCandidates(newKeys.map(foundKey => this.toImportCandidate(foundKey)), 'sync', { silent: isMachineOutput() });
+      summary.imported = imported.imported;
+    }
+    return { ...summary, report };
+  }
+
+  // Print the sync report: changed, missing and new keys
+  printSyncReport(report, summary, options = {}) {
+    if (isMachineOutput()) {
+      printResult(report, SYNC_COLUMNS);
+      return;
+    }
+
+    if (report.length === 0) {
+      console.log(chalk.green(`✓ The vault is in sync with disk (${summary.tracked} keys with a source file).`));
+      return;
+    }
+
+    console.log(chalk.bold.blue('\nSync report:\n'));
+    const rows = report.map(row => [row.status, row.name, row.path, row.detail]);
+    console.log(formatTable(rows, [
+      { header: 'STATUS', rowColor: (index) => SYNC_STATUS_COLORS[report[index].status] },
+      { header: 'NAME' },
+      { header: 'PATH', color: chalk.gray },
+      { header: 'DETAIL', color: chalk.gray }
+    ], process.stdout.isTTY ? process.stdout.columns : null));
+    console.log(chalk.gray(`\n${summary.changed} changed, ${summary.missing} missing, ${summary.new} new.`));
+
+    const hints = [];
+    if (summary.changed > 0 && !options.refresh) hints.push('"ssh-kim sync --refresh" to update the changed keys');
+    if (summary.new > 0 && !options.import) hints.push('"ssh-kim sync --import" to add the new ones');
+    if (hints.length > 0) {
+      console.log(chalk.gray(`Use ${hints.join(' or ')}.`));
+    }
+  }
+
+  // The keys in a source file with the fields each would be stored with, and the file's hash;
+  // null when the file is gone
+  async readSourceFile(sourcePath) {
+    if (!fs.existsSync(sourcePath)) {
+      return null;
+    }
+
+    const hash = hashSourceContent(await fs.readFile(sourcePath, 'utf8'));
+    const entries = [];
+    for (const foundKey of await this.scanLocations({ path: sourcePath })) {
+      const candidate = this.toImportCandidate(foundKey);
+      try {
+        const { parsed, privateInfo } = this.resolveKeyMaterial(candidate.key, candidate.private_key);
+        entries.push({
+          foundKey,
+          fields: {
+            ...this.getKeyFields(parsed, privateInfo),
+            ...(candidate.key_options && candidate.key_options.length > 0 ? { key_options: candidate.key_options } : {})
+          }
+        });
+      } catch (error) {
+        // Keys that can't be read are reported as missing
+      }
+    }
+    return { hash, entries };
+  }
+
+  // Apply the fields read from disk to keys whose source file changed. A private key is only
+  // updated on keys that already store one.
+  async refreshFromSources(updates) {
+    return this.withVaultLock(async () => {
+      const keys = await this.loadKeys();
+      const changes = [];
+      for (const [id, fields] of updates) {
+        const index = keys.findIndex(key => key.id === id);
+        if (index === -1) continue;
+
+        const before = keys[index];
+        const after = { ...before, ...(before.private_key ? fields : this.stripPrivateKey(fields)) };
+        if (!fields.key_options) {
+          delete after.key_options;
+        }
+        if (changedFields(before, after).length > 0) {
+          keys[index] = { ...after, last_modified: new Date().toISOString() };
+          changes.push(keyChange(before, keys[index], index));
+        }
+      }
+
+      if (changes.length > 0) {
+        this.recordChange('sync', `Refreshed ${changes.length} key${changes.length === 1 ? '' : 's'} from disk`, changes);
+        await this.saveKeys(keys);
+      }
+      return changes.filter(change => getSourceChanges(change.before, change.after).length > 0).length;
+    });
+  }
+
+  // Get common SSH locations
+  getCommonSSHLocations() {
+    const homeDir = os.homedir();
+    const locations = [
+      path.join(homeDir, '.ssh'),
+      path.join(homeDir, 'ssh'),
+      path.join(homeDir, 'Documents', 'ssh')
+    ];
+
+    // Add Windows-specific locations
+    if (process.platform === 'win32') {
+      locations.push(
+        path.join(process.env.APPDATA, 'PuTTY'),
+        path.join(process.env.LOCALAPPDATA, 'ssh')
+      );
+    }
+
+    return locations;
+  }
+
+  // How many directory levels below each scan root to read: none unless recursive
+  getScanDepth(options = {}) {
+    if (options.maxDepth === undefined || options.maxDepth === null) {
+      return options.recursive ? DEFAULT_SCAN_DEPTH : 0;
+    }
+    if (!/^\d+$/.test(String(options.maxDepth))) {
+      throw new UsageError(`--max-depth needs a whole number, not "${options.maxDepth}"`);
+    }
+    return Number(options.maxDepth);
+  }
+
+  // Find SSH keys in options.path (one or more files or directories; the common SSH locations by
+  // default). Include and exclude globs are matched against paths relative to each scan root;
+  // excluded directories are not entered.
+  async scanLocations(options = {}) {
+    const paths = [].concat(options.path || []);
+    const roots = paths.length > 0
+      ? paths.map(expandHome)
+      : this.getCommonSSHLocations().filter(location => fs.existsSync(location));
+    const maxDepth = this.getScanDepth(options);
+    const include = [].concat(options.include || []);
+    const exclude = [].concat(options.exclude || []);
+    const visited = new Set();
+    const foundKeys = [];
+
+    const walk = async (root, dirPath, depth) => {
+      const realPath = await fs.realpath(dirPath);
+      if (visited.has(realPath)) return;
+      visited.add(realPath);
+
+      foundKeys.push(...await this.collectKeysFromDirectory(dirPath, (filePath) => {
+        const relative = path.relative(root, filePath);
+        return (include.length === 0 || matchesGlob(relative, include)) && !matchesGlob(relative, exclude);
+      }));
+      if (depth >= maxDepth) return;
+
+      // Symbolic links to directories are not followed, so a scan can't loop
+      for (const entry of await fs.readdir(dirPath, { withFileTypes: true })) {
+        const subdirPath = path.join(dirPath, entry.name);
+        if (entry.isDirectory() && !matchesGlob(path.relative(root, subdirPath), exclude)) {
+          try {
+            await walk(root, subdirPath, depth + 1);
+          } catch (error) {
+            // Skip directories that can't be read
+          }
+        }
+      }
+    };
+
+    for (const root of roots) {
+      const stat = await fs.stat(root).catch(() => null);
+      if (!stat) {
+        throw new NotFoundError(`Scan path ${root} does not exist`);
+      }
+      if (stat.isDirectory()) {
+        await walk(root, root, 0);
+      } else {
+        // A single file is read with its directory, so a private key can pair with it
+        const keys = await this.collectKeysFromDirectory(path.dirname(root));
+        foundKeys.push(...keys.filter(key => key.path === root || key.privatePath === root));
+      }
+    }
+
+    return foundKeys;
+  }
+
+  // Read a directory and return the keys in its files, which are recognised by their content
+  // rather than their extension. Private keys are linked to the public key they belong to;
+  // filter(filePath) can limit which files are read.
+  async collectKeysFromDirectory(dirPath, filter = null) {
+    const files = await fs.readdir(dirPath);
+    const publicFiles = new Map();
+    const privateFiles = new Map();
+    const hashes = new Map();
+
+    for (const file of files) {
+      const filePath = path.join(dirPath, file);
+      if (filter && !filter(filePath)) continue;
+      try {
+        const stat = await fs.stat(filePath);
+        if (!stat.isFile() || stat.size > MAX_KEY_FILE_SIZE) continue;
+
+        const content = await fs.readFile(filePath, 'utf8');
+        hashes.set(file, hashSourceContent(content));
+        if (isPuttyKey(content) || isRfc4716(content) || file.endsWith('.pub')) {
+          publicFiles.set(file, content.trim());
+        } else if (isPrivateKey(content)) {
+          const privateKey = tryParsePrivateKey(content);
+          if (privateKey) privateFiles.set(file, privateKey);
+        } else if (parseAuthorizedKeys(content).entries.length > 0) {
+          publicFiles.set(file, content.trim());
+        }
+      } catch (error) {
+        // Skip files that can't be read
+      }
+    }
+
+    const foundKeys = [];
+    const pairable = [];
+
+    for (const [file, content] of publicFiles) {
+      if (isPuttyKey(content) || isRfc4716(content)) {
+        const converted = this.describeConvertedKeyFile(file, path.join(dirPath, file), content);
+        foundKeys.push(...converted.map(foundKey => ({ ...foundKey, sourceHash: hashes.get(file) })));
+        continue;
+      }
+
+      // Files with several keys (like GitHub's user.keys) become one entry per line
+      const { entries } = parseAuthorizedKeys(content);
+      if (entries.length > 1) {
+        for (const entry of entries) {
+          foundKeys.push({
+            name: getAuthorizedKeyName(entry, file),
+            path: path.join(dirPath, file),
+            content: entry.parsed.normalized,
+            options: entry.options,
+            type: entry.parsed.keyType,
+            fingerprint: formatFingerprint(entry.parsed),
+            sourceHash: hashes.get(file)
+          });
+        }
+        continue;
+      }
+
+      const parsed = entries.length === 1 ? entries[0].parsed : null;
+      const foundKey = {
+        name: file,
+        path: path.join(dirPath, file),
+        content: parsed ? parsed.normalized : content,
+        ...(parsed && entries[0].options.length > 0 ? { options: entries[0].options } : {}),
+        type: parsed ? parsed.keyType : 'Unknown',
+        fingerprint: parsed ? formatFingerprint(parsed) : null,
+        sourceHash: hashes.get(file)
+      };
+
+      // An authorized_keys file lists keys allowed to log in; it is never one half of a key pair
+      if (parsed && !AUTHORIZED_KEYS_FILE.test(file) && entries[0].options.length === 0) {
+        pairable.push({ foundKey, parsed, sameName: file.endsWith('.pub') ? file.slice(0, -'.pub'.length) : null });
+      }
+      foundKeys.push(foundKey);
+    }
+
+    // Link each private key to its public key: first the file of the same name without .pub, then,
+    // for the public keys still unpaired, any other private key with the same fingerprint
+    const attach = (entry, privateFile) => {
+      entry.foundKey.privatePath = path.join(dirPath, privateFile);
+      entry.foundKey.privateKey = privateFiles.get(privateFile);
+      privateFiles.delete(privateFile);
+    };
+    for (const entry of pairable) {
+      const privateKey = entry.sameName && privateFiles.get(entry.sameName);
+      if (privateKey && (!privateKey.fingerprint || privateKey.fingerprint === entry.parsed.fingerprint)) {
+        attach(entry, entry.sameName);
+      }
+    }
+    for (const entry of pairable.filter(candidate => !candidate.foundKey.privateKey)) {
+      const privateFile = [...privateFiles.keys()].find(name => privateFiles.get(name).fingerprint === entry.parsed.fingerprint);
+      if (privateFile) attach(entry, privateFile);
+    }
+
+    // Private keys without a matching public key file
+    for (const [file, privateKey] of privateFiles) {
+      const parsed = privateKey.publicKey ? tryParsePublicKey(privateKey.publicKey) : null;
+      foundKeys.push({
+        name: file,
+        path: path.join(dirPath, file),
+        content: parsed ? parsed.normalized : '',
+        type: privateKey.keyType,
+        fingerprint: parsed ? formatFingerprint(parsed) : null,
+        privatePath: path.join(dirPath, file),
+        privateKey,
+        sourceHash: hashes.get(file)
+      });
+    }
+
+    // Key files come before authorized_keys, so an import keeps the pair when both hold the same key
+    const isAuthorizedKeys = (foundKey) => AUTHORIZED_KEYS_FILE.test(path.basename(foundKey.path));
+    return [...foundKeys.filter(foundKey => !isAuthorizedKeys(foundKey)), ...foundKeys.filter(isAuthorizedKeys)];
+  }
+
+  // Scan entries for a PuTTY or RFC 4716 file. The content is kept in its original format so an
+  // import records it; unencrypted PuTTY files also carry their private key, converted to OpenSSH.
+  describeConvertedKeyFile(file, filePath, content) {
+    const describe = (entryContent, publicKey, format) => {
+      const parsed = tryParsePublicKey(publicKey);
+      return {
+        name: file,
+        path: filePath,
+        content: entryContent,
+        publicKey: parsed ? parsed.normalized : null,
+        format,
+        type: parsed ? parsed.keyType : 'Unknown',
+        fingerprint: parsed ? formatFingerprint(parsed) : null
+      };
+    };
+
+    try {
+      if (isRfc4716(content)) {
+        const blocks = parseRfc4716(content);
+        return blocks.map((block, index) => ({
+          ...describe(block.block, block.publicKey, 'rfc4716'),
+          name: blocks.length > 1 ? `${file}:${index + 1}` : file
+        }));
+      }
+
+      const converted = convertKeyContent(content);
+      const foundKey = describe(content, converted.publicKey, converted.format);
+      if (converted.privateKey) {
+        foundKey.privatePath = filePath;
+        foundKey.privateKey = { format: 'ppk', encrypted: false, content: converted.privateKey };
+      }
+      return [foundKey];
+    } catch {
+      return [{ name: file, path: filePath, content, type: 'Unknown', fingerprint: null }];
+    }
+  }
+
+  // Import keys
+  async importKeys(options = {}) {
+    const importOptions = { onConflict: options.onConflict, dryRun: options.dryRun };
+    if (options.file) {
+      await this.importFromFile(options.file, options.password, options.inputFormat, importOptions);
+    } else if (options.directory) {
+      await this.importFromDirectory(options.directory, importOptions);
+    } else {
+      const answer = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'importType',
+          message: 'How would you like to import keys?',
+          choices: [
+            { name: 'Import from file', value: 'file' },
+            { name: 'Import from directory', value: 'directory' },
+            { name: 'Scan common locations', value: 'scan' }
+          ]
+        }
+      ]);
+
+      if (answer.importType === 'file') {
+        const fileAnswer = await inquirer.prompt([
+          {
+            type: 'input',
+            name: 'filePath',
+            message: 'Enter path to SSH key file:',
+            validate: (input) => {
+              try {
+                return fs.existsSync(input) ? true : 'File does not exist';
+              } catch {
+                return 'Invalid file path';
+              }
+            }
+          }
+        ]);
+        await this.importFromFile(fileAnswer.filePath, null, null, importOptions);
+      } else if (answer.importType === 'directory') {
+        const dirAnswer = await inquirer.prompt([
+          {
+            type: 'input',
+            name: 'dirPath',
+            message: 'Enter directory path:',
+            validate: (input) => {
+              try {
+                return fs.existsSync(input) ? true : 'Directory does not exist';
+              } catch {
+                return 'Invalid directory path';
+              }
+            }
+          }
+        ]);
+        await this.importFromDirectory(dirAnswer.dirPath, importOptions);
+      } else {
+        await this.importFromScan(importOptions);
+      }
+    }
+  }
+
+  // Format of an import file: PuTTY and SSH2 files by their headers, JSON exports start with { or [,
+  // anything else is read line by line
+  detectImportFormat(content) {
+    if (isPuttyKey(content)) return 'ppk';
+    if (isRfc4716(content)) return 'rfc4716';
+    return /^\s*[[{]/.test(content) ? 'json' : 'authorized_keys';
+  }
+
+  // Import from file: an ssh-kim JSON export, an authorized_keys style file with one key per line,
+  // a PuTTY .ppk file or SSH2 (RFC 4716) public keys
+  async importFromFile(filePath, password = null, format = null, options = {}) {
+    const inputFormat = format ? String(format).toLowerCase().replace(/-/g, '_') : null;
+    if (inputFormat && !IMPORT_FORMATS.includes(inputFormat)) {
+      throw new UsageError(`Unknown import format "${format}". Use one of: ${IMPORT_FORMATS.join(', ')}`);
+    }
+
+    let content;
+    if (password) {
+      // Handle encrypted import
+      const encryptedData = await fs.readFile(filePath, 'utf8');
+      content = this.decryptWithPassword(encryptedData, password);
+    } else {
+      content = await fs.readFile(filePath, 'utf8');
+    }
+
+    let candidates;
+    let invalid = 0;
+    const fileName = path.basename(filePath);
+    const takenNames = new Set();
+    const detectedFormat = inputFormat || this.detectImportFormat(content);
+    if (detectedFormat === 'authorized_keys') {
+      const { entries, errors } = parseAuthorizedKeys(content);
+      for (const error of errors) {
+        console.log(chalk.yellow(`Skipped line ${error.line}: ${error.message}`));
+      }
+      invalid = errors.length;
+      candidates = entries.map(entry => ({
+        name: this.getUniqueName(getAuthorizedKeyName(entry, fileName), takenNames),
+        key: entry.parsed.normalized,
+        key_options: entry.options
+      }));
+    } else if (detectedFormat === 'ppk') {
+      // The whole file is passed on so the key is converted and its format recorded
+      const comment = (content.match(/^Comment:[ \t]*(.*?)\s*$/m) || [])[1];
+      candidates = [{ name: comment || path.parse(filePath).name, key: content }];
+    } else if (detectedFormat === 'rfc4716') {
+      candidates = parseRfc4716(content).map((block, index) => ({
+        name: this.getUniqueName(block.comment || `${fileName}:${index + 1}`, takenNames),
+        key: block.block
+      }));
+    } else {
+      // An export holds { keys: [...] }; a bare array of keys or a single key object is accepted too
+      const data = JSON.parse(content);
+      const entries = Array.isArray(data) ? data : (data && data.keys) || [data];
+      candidates = entries.filter(entry => entry && typeof entry === 'object' && !Array.isArray(entry));
+      invalid = entries.length - candidates.length;
+      if (invalid > 0) {
+        console.log(chalk.yellow(`Skipped ${invalid} JSON entr${invalid === 1 ? 'y that is' : 'ies that are'} not a key object`));
+      }
+    }
+
+    // Keys read from a key file (rather than an export, which keeps each key's own source) come from it
+    if (detectedFormat !== 'json') {
+      const source = { source_path: path.resolve(filePath), source_hash: hashSourceContent(content) };
+      candidates = candidates.map(candidate => ({ ...candidate, ...source }));
+    }
+
+    return this.importCandidates(candidates, filePath, { ...options, invalid });
+  }
+
+  // Add imported keys to the vault. Every import path ends here: keys are matched on fingerprint,
+  // against the vault and against earlier keys of the same import, and options.onConflict
+  // (skip, rename, overwrite or merge) decides what happens to a match. A dry run only reports.
+  async importCandidates(candidates, source, options = {}) {
+    const strategy = options.onConflict || 'skip';
+    if (!CONFLICT_STRATEGIES.includes(strategy)) {
+      throw new UsageError(`Unknown conflict strategy "${strategy}". Use one of: ${CONFLICT_STRATEGIES.join(', ')}`);
+    }
+
+    return this.withVaultLock(async () => {
+      const keys = await this.loadKeys();
+      const takenNames = new Set(keys.map(key => key.name));
+      const actions = [];
+      const changes = [];
+
+      for (const candidate of candidates) {
+        let material;
+        try {
+          material = this.resolveKeyMaterial(candidate.key, candidate.private_key || null);
+        } catch (error) {
+          console.log(chalk.yellow(`Skipped "${candidate.name}": ${error.message}`));
+          actions.push({ action: 'invalid', name: candidate.name, fingerprint: null, detail: error.message });
+          continue;
+        }
+
+        const now = new Date().toISOString();
+        const imported = {
+          id: this.generateId(),
+          name: candidate.name,
+          tags: getRecordTags(candidate),
+          ...(candidate.key_options && candidate.key_options.length > 0 ? { key_options: candidate.key_options } : {}),
+          ...this.getKeyFields(material.parsed, material.privateInfo),
+          ...(candidate.original_format && !material.parsed.originalFormat ? { original_format: candidate.original_format } : {}),
+          ...(candidate.source_path ? { source_path: candidate.source_path, source_hash: candidate.source_hash || null } : {}),
+          ...Object.fromEntries(EXPIRY_FIELDS.filter(field => candidate[field]).map(field => [field, candidate[field]])),
+          created: candidate.created || now,
+          last_modified: now
+        };
+
+        const index = keys.findIndex(key => this.getKeyFingerprint(key) === imported.fingerprint);
+        const existing = index === -1 ? null : keys[index];
+        const action = { action: existing ? strategy : 'add', name: imported.name, fingerprint: imported.fingerprint, detail: '' };
+        actions.push(action);
+
+        if (!existing || strategy === 'rename') {
+          if (existing) {
+            imported.name = this.getUniqueName(imported.name, takenNames);
+            action.detail = `matches "${existing.name}", added as "${imported.name}"`;
+          }
+          takenNames.add(imported.name);
+          keys.push(imported);
+          changes.push(keyChange(null, imported, keys.length - 1));
+        } else if (strategy === 'skip') {
+          action.detail = `matches "${existing.name}"`;
+        } else {
+          const updated = strategy === 'overwrite'
+            ? { ...imported, id: existing.id, created: candidate.created || existing.created }
+            : { ...mergeKeyRecords(existing, imported), last_modified: now };
+          const fields = changedFields(existing, updated);
+          action.detail = `${strategy === 'overwrite' ? 'replaces' : 'merges into'} "${existing.name}"` +
+            (fields.length > 0 ? ` (${fields.join(', ')})` : ' (no changes)');
+          if (fields.length > 0) {
+            takenNames.add(updated.name);
+            keys[index] = updated;
+            changes.push(keyChange(existing, updated, index));
+          }
+        }
+      }
+
+      const count = (name) => actions.filter(action => action.action === name).length;
+      const summary = {
+        source,
+        imported: count('add') + count('rename'),
+        duplicates: count('skip'),
+        renamed: count('rename'),
+        overwritten: count('overwrite'),
+        merged: count('merge'),
+        invalid: count('invalid') + (options.invalid || 0)
+      };
+
+      if (options.dryRun) {
+        // The plan was worked out on the cached key list; drop it so nothing of it is kept
+        this.keysCache = null;
+        return this.reportImportPlan(actions, { ...summary, dry_run: true });
+      }
+
+      if (changes.length > 0) {
+        const added = summary.imported;
+        this.recordChange('import', `Imported ${changes.length} key${changes.length === 1 ? '' : 's'} from ${source}` +
+          (changes.length > added ? ` (${changes.length - added} updated)` : ''), changes);
+        await this.saveKeys(keys);
+      }
+      return options.silent ? summary : this.reportImport(summary);
+    });
+  }
+
+  // Fingerprint of a stored key; records from older versions may lack the field
+  getKeyFingerprint(key) {
+    if (key.fingerprint) {
+      return key.fingerprint;
+    }
+    const parsed = tryParsePublicKey(key.key);
+    return parsed ? parsed.fingerprint : null;
+  }
+
+  // Keys often share a comment; number the names so none is mistaken for a duplicate
+  getUniqueName(baseName, takenNames) {
+    let name = baseName;
+    for (let suffix = 2; takenNames.has(name); suffix++) {
+      name = `${baseName}-${suffix}`;
+    }
+    takenNames.add(name);
+    return name;
+  }
+
+  // Print the outcome of an import
+  reportImport(summary) {
+    if (isMachineOutput()) {
+      printResult(summary);
+      return summary;
+    }
+
+    console.log(chalk.green(`✓ Imported ${summary.imported} keys successfully!`));
+    if (summary.renamed > 0) {
+      console.log(chalk.yellow(`Renamed ${summary.renamed} keys that were already in the vault.`));
+    }
+    if (summary.overwritten > 0) {
+      console.log(chalk.yellow(`Overwrote ${summary.overwritten} existing keys.`));
+    }
+    if (summary.merged > 0) {
+      console.log(chalk.yellow(`Merged ${summary.merged} keys into existing entries.`));
+    }
+    if (summary.duplicates > 0) {
+      console.log(chalk.yellow(`Skipped ${summary.duplicates} duplicate keys.`));
+    }
+    if (summary.invalid > 0) {
+      console.log(chalk.yellow(`Skipped ${summary.invalid} invalid keys.`));
+    }
+    return summary;
+  }
+
+  // Print what an import would do without writing anything
+  reportImportPlan(actions, summary) {
+    if (isMachineOutput()) {
+      printResult(actions, IMPORT_PLAN_COLUMNS);
+      return { ...summary, actions };
+    }
+
+    if (actions.length === 0) {
+      console.log(chalk.yellow('Nothing to import.'));
+      return { ...summary, actions };
+    }
+
+    console.log(chalk.bold.blue(`\nImport plan for ${summary.source}:\n`));
+    const rows = actions.map(action => [action.action, action.name, action.fingerprint || '', action.detail]);
+    console.log(formatTable(rows, [
+      { header: 'ACTION', rowColor: (index) => IMPORT_ACTION_COLORS[actions[index].action] },
+      { header: 'NAME' },
+      { header: 'FINGERPRINT', color: chalk.gray },
+      { header: 'DETAIL', color: chalk.gray }
+    ], process.stdout.isTTY ? process.stdout.columns : null));
+    console.log(chalk.gray(`\nDry run: ${summary.imported} to add, ${summary.overwritten + summary.merged} to update, ` +
+      `${summary.duplicates} to skip, ${summary.invalid} invalid. Nothing was written.`));
+    return { ...summary, actions };
+  }
+
+  // Import from directory
+  async importFromDirectory(dirPath, options = {}) {
+    const foundKeys = await this.collectKeysFromDirectory(dirPath);
+    
+    if (foundKeys.length === 0) {
+      console.log(chalk.yellow('No SSH key files found in directory.'));
+      return;
+    }
+
+    return this.importCandidates(foundKeys.map(foundKey => this.toImportCandidate(foundKey)), dirPath, options);
+  }
+
+  // A key found by a directory scan, in the shape the import pipeline takes
+  toImportCandidate(foundKey) {
+    return {
+      name: foundKey.name,
+      key: foundKey.content || null,
+      private_key: foundKey.privateKey ? foundKey.privateKey.content : null,
+      key_options: foundKey.options,
+      source_path: path.resolve(foundKey.path),
+      source_hash: foundKey.sourceHash
+    };
+  }
+
+  // Import from scan
+  async importFromScan(options = {}) {
+    const scannedKeys = await this.scanLocations();
+    
+    if (scannedKeys.length === 0) {
+      console.log(chalk.yellow('No SSH keys found in common locations.'));
+      return;
+    }
+
+    // Keys the vault already holds are listed but not selected
+    await this.markKeysInVault(scannedKeys);
+    const keyChoices = scannedKeys.map(key => ({
+      name: `${key.name} (${key.path})${key.privateKey ? ' + private key' : ''}${key.vaultKey ? chalk.gray(` already stored as "${key.vaultKey}"`) : ''}`,
+      value: key,
+      checked: !key.vaultKey
+    }));
+
+    const selectedKeys = await inquirer.prompt([
+      {
+        type: 'checkbox',
+        name: 'keys',
+        message: 'Select keys to import:',
+        choices: keyChoices
+      }
+    ]);
+
+    if (selectedKeys.keys.length === 0) {
+      console.log(chalk.yellow('No keys selected for import.'));
+      return;
+    }
+
+    return this.importCandidates(selectedKeys.keys.map(key => this.toImportCandidate(key)), 'scan', options);
+  }
+
+  // Render keys in an export format; returns the text and the keys the format can't represent
+  renderExport(keys, format, includePrivate = false) {
+    const { perKey, separator } = EXPORT_FORMATS[format];
+    if (perKey) {
+      const parts = [];
+      const skipped = [];
+      for (const key of keys) {
+        try {
+          parts.push(perKey(key));
+        } catch (error) {
+          skipped.push({ key, reason: error.message });
+        }
+      }
+      return { content: parts.length > 0 ? `${parts.join(separator)}\n` : '', skipped };
+    }
+
+    if (format === 'csv') {
+      const columns = includePrivate ? [...KEY_COLUMNS, 'private_key'] : KEY_COLUMNS;
+      return { content: `${toCsv(keys.map(key => this.toKeyRecord(key, includePrivate)), columns)}\r\n`, skipped: [] };
+    }
+
+    const exportData = {
+      exported_at: new Date().toISOString(),
+      total_keys: keys.length,
+      keys
+    };
+    return { content: format === 'yaml' ? `${toYaml(exportData)}\n` : JSON.stringify(exportData, null, 2), skipped: [] };
+  }
+
+  // Warn about keys an export format couldn't represent; fail when none could be exported
+  reportSkippedExports(skipped, total) {
+    if (skipped.length > 0 && skipped.length === total) {
+      throw new InvalidKeyError(skipped.length === 1 ? `Could not export "${skipped[0].key.name}": ${skipped[0].reason}` : `None of the keys could be exported: ${skipped[0].reason}`);
+    }
+    for (const { key, reason } of skipped) {
+      console.log(chalk.yellow(`Skipped "${key.name}": ${reason}`));
+    }
+  }
+
+  // Export keys
+  async exportKeys(options = {}) {
+    const format = normalizeExportFormat(options.exportFormat || 'json');
+    if (!format) {
+      throw new UsageError(`Unknown export format "${options.exportFormat}". Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+    if (options.password && format !== 'json') {
+      throw new UsageError('--password can only be used with the json export format');
+    }
+    if (options.file && options.dir) {
+      throw new UsageError('Use either --file or --dir, not both');
+    }
+    const matchesQuery = compileQuery(options.query);
+
+    const keys = await this.loadKeys();
+    
+    if (keys.length === 0) {
+      console.log(chalk.yellow('No keys to export.'));
+      return;
+    }
+
+    let keysToExport = keys.filter(matchesQuery);
+
+    if (options.id) {
+      keysToExport = [keys[await this.resolveKeyIndex(keys, options.id)]].filter(matchesQuery);
+    }
+
+    const wantedTags = parseTags(options.tag);
+    if (wantedTags.length > 0) {
+      keysToExport = keysToExport.filter(key => matchesTags(key, wantedTags, options.allTags ? 'all' : 'any'));
+    }
+
+    if (keysToExport.length === 0) {
+      console.log(chalk.yellow('No keys match the selection.'));
+      return;
+    }
+
+    // Private keys only leave the vault when explicitly requested
+    if (!options.includePrivate) {
+      keysToExport = keysToExport.map(key => this.stripPrivateKey(key));
+    }
+
+    if (options.dir) {
+      return this.exportKeysToDirectory(keysToExport, format, options);
+    }
+
+    let outputPath = options.file;
+
+    if (!outputPath && isMachineOutput()) {
+      throw new UsageError('--file or --dir is required with machine-readable output');
+    }
+    if (!outputPath) {
+      const answer = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'filePath',
+          message: 'Enter output file path:',
+          default: `ssh_keys_export_${new Date().toISOString().split('T')[0]}${EXPORT_FORMATS[format].extension}`
+        }
+      ]);
+      outputPath = answer.filePath;
+    }
+
+    const { content, skipped } = this.renderExport(keysToExport, format, options.includePrivate);
+    this.reportSkippedExports(skipped, keysToExport.length);
+    const exported = keysToExport.length - skipped.length;
+
+    const unchanged = fs.existsSync(outputPath) && this.isSameExport(await fs.readFile(outputPath, 'utf8'), content, options.password);
+    if (fs.existsSync(outputPath) && !unchanged && !options.force) {
+      throw new ConflictError(`"${outputPath}" already exists with different content. Use --force to overwrite it.`);
+    }
+
+    const data = options.password ? this.encryptWithPassword(content, options.password) : content;
+    if (unchanged) {
+      if (options.includePrivate) await fs.chmod(outputPath, 0o600);
+    } else if (options.includePrivate) {
+      await this.writeExportFile(outputPath, data, 0o600);
+    } else {
+      await fs.writeFile(outputPath, data);
+    }
+
+    const summary = {
+      file: path.resolve(outputPath),
+      format,
+      exported,
+      skipped: skipped.length,
+      encrypted: Boolean(options.password),
+      include_private: Boolean(options.includePrivate)
+    };
+    if (isMachineOutput()) {
+      printResult(summary);
+    } else {
+      console.log(chalk.green(`✓ Exported ${exported} keys to "${outputPath}"${options.password ? ' (encrypted)' : ''}`));
+    }
+    return summary;
+  }
+
+  // Write an export file with the given mode; writeFile only applies the mode when it creates the
+  // file, so an existing file is changed as well
+  async writeExportFile(filePath, content, mode) {
+    await fs.writeFile(filePath, content, { mode });
+    await fs.chmod(filePath, mode);
+  }
+
+  // Whether an existing export file already holds the given content. The export timestamp is ignored,
+  // and encrypted files are compared after decrypting, as each run uses a fresh salt and IV.
+  isSameExport(existing, plaintext, password) {
+    let existingPlaintext = existing;
+    if (password) {
+      try {
+        existingPlaintext = this.decryptWithPassword(existing, password);
+      } catch {
+        return false;
+      }
+    }
+    const withoutTimestamp = (text) => text.replace(/^\s*"?exported_at"?: .*$/m, '');
+    return withoutTimestamp(existingPlaintext) === withoutTimestamp(plaintext);
+  }
+
+  // File name for a key in a per-key export: its name with path separators and other unsafe characters replaced
+  getExportFileName(key, extension, taken) {
+    const base = key.name.trim().replace(/[\\/:*?"<>|\s]+/g, '_').replace(/^\.+/, '') || key.id;
+    let fileName = `${base}${extension}`;
+    for (let suffix = 2; taken.has(fileName.toLowerCase()); suffix++) {
+      fileName = `${base}-${suffix}${extension}`;
+    }
+    taken.add(fileName.toLowerCase());
+    return fileName;
+  }
+
+  // Write one file per key into a directory, each named after its key. Existing files with other
+  // content are only replaced with options.force.
+  async exportKeysToDirectory(keys, format, options = {}) {
+    const taken = new Set();
+    const planned = [];
+    const skipped = [];
+
+    for (const key of keys) {
+      const rendered = this.renderExport([key], format, options.includePrivate);
+      if (rendered.skipped.length > 0) {
+        skipped.push(...rendered.skipped);
+        continue;
+      }
+
+      const filePath = path.resolve(options.dir, this.getExportFileName(key, EXPORT_FORMATS[format].extension, taken));
+      // Only the json, csv and yaml formats carry private keys, and only those still on the record
+      const hasPrivate = !EXPORT_FORMATS[format].perKey && Boolean(key.private_key);
+      planned.push({ path: filePath, plaintext: rendered.content, mode: hasPrivate ? 0o600 : 0o644 });
+    }
+    this.reportSkippedExports(skipped, keys.length);
+
+    // Check everything before writing anything
+    const conflicts = [];
+    for (const file of planned) {
+      if (fs.existsSync(file.path)) {
+        file.unchanged = this.isSameExport(await fs.readFile(file.path, 'utf8'), file.plaintext, options.password);
+        if (!file.unchanged) conflicts.push(file.path);
+      }
+      file.content = options.password ? this.encryptWithPassword(file.plaintext, options.password) : file.plaintext;
+    }
+    if (conflicts.length > 0 && !options.force) {
+      throw new ConflictError(`These files already exist with different content: ${conflicts.join(', ')}. Use --force to overwrite them.`);
+    }
+
+    await fs.ensureDir(options.dir);
+    for (const file of planned) {
+      if (file.unchanged) {
+        await fs.chmod(file.path, file.mode);
+      } else {
+        await this.writeExportFile(file.path, file.content, file.mode);
+      }
+    }
+    const files = planned.map(file => file.path);
+
+    const summary = {
+      directory: path.resolve(options.dir),
+      format,
+      exported: files.length,
+      skipped: skipped.length,
+      encrypted: Boolean(options.password),
+      include_private: Boolean(options.includePrivate),
+      files
+    };
+    if (isMachineOutput()) {
+      printResult(summary);
+    } else {
+      console.log(chalk.green(`✓ Exported ${files.length} keys to ${files.length === 1 ? 'a file' : 'separate files'} in "${options.dir}"${options.password ? ' (encrypted)' : ''}`));
+    }
+    return summary;
+  }
+
+  // Show key details
+  async showKey(ref, options = {}) {
+    const keys = await this.loadKeys();
+    const key = keys[await this.resolveKeyIndex(keys, ref)];
+
+    if (isMachineOutput()) {
+      const parsed = tryParsePublicKey(key.key);
+      const expiry = this.getKeyExpiry(key);
+      printResult({
+        ...this.toKeyRecord(key, options.private),
+        md5_fingerprint: parsed ? parsed.md5 : null,
+        due_at: expiry.due_at,
+        expiry_status: expiry.status
+      }, [...KEY_COLUMNS, 'md5_fingerprint', 'due_at', 'expiry_status']);
+      return key;
+    }
+
+    console.log(chalk.bold.blue(`\nSSH Key Details:\n`));
+    console.log(chalk.bold(`Name: ${key.name}`));
+    console.log(chalk.gray(`ID: ${key.id}`));
+    if (key.tags && key.tags.length > 0) {
+      console.log(chalk.cyan(`Tags: ${key.tags.join(', ')}`));
+    }
+    console.log(chalk.green(`Type: ${key.key_type}`));
+    const parsed = tryParsePublicKey(key.key);
+    if (parsed) {
+      console.log(`Bits: ${parsed.bits}`);
+      if (parsed.comment) {
+        console.log(`Comment: ${parsed.comment}`);
+      }
+      console.log(`Fingerprint: ${formatFingerprint(parsed)}`);
+      console.log(chalk.gray(`             ${formatFingerprint(parsed, 'md5')}`));
+    } else {
+      console.log(chalk.red('Fingerprint: unavailable (key content is not a valid SSH public key)'));
+    }
+    if (key.key_options && key.key_options.length > 0) {
+      console.log(chalk.yellow(`Options: ${key.key_options.join(',')}`));
+    }
+    if (key.original_format) {
+      console.log(chalk.gray(`Converted from: ${FOREIGN_KEY_FORMATS[key.original_format] || key.original_format}`));
+    }
+    if (key.source_path) {
+      console.log(chalk.gray(`Source: ${key.source_path}`));
+    }
+    if (key.private_key) {
+      console.log(chalk.magenta(`Private Key: stored (${describePrivateKey(key.private_key_format, key.private_key_encrypted)})`));
+    }
+    console.log(chalk.gray(`Created: ${new Date(key.created).toLocaleString()}`));
+    console.log(chalk.gray(`Modified: ${new Date(key.last_modified).toLocaleString()}`));
+    const expiry = this.getKeyExpiry(key);
+    if (expiry.due_at && expiry.reason === 'expires') {
+      console.log(EXPIRY_STYLES[expiry.status](`Expires: ${new Date(expiry.due_at).toLocaleString()} (${describeExpiry(expiry)})`));
+    } else if (expiry.due_at) {
+      const interval = key.rotate_every || this.getVaultSetting('rotateEvery');
+      console.log(EXPIRY_STYLES[expiry.status](`Rotation due: ${new Date(expiry.due_at).toLocaleString()} (${describeExpiry(expiry)}, every ${interval})`));
+    }
+    console.log(chalk.bold(`\nKey Content:`));
+    console.log(chalk.gray(key.key));
+
+    if (key.private_key && options.private) {
+      console.log(chalk.bold.yellow(`\nPrivate Key Content:`));
+      console.log(key.private_key.trim());
+    } else if (key.private_key) {
+      console.log(chalk.gray(`\nUse --private to display the private key.`));
+    }
+    return key;
+  }
+
+  // Add tags to a key; tags it already has are left alone
+  async addTags(ref, tags) {
+    const wanted = parseTags(tags);
+    if (wanted.length === 0) {
+      throw new UsageError('No tags given');
+    }
+
+    return this.withVaultLock(async () => {
+      const keys = await this.loadKeys();
+      const keyIndex = await this.resolveKeyIndex(keys, ref);
+      const key = keys[keyIndex];
+      const added = wanted.filter(tag => !hasTag(key, tag));
+
+      if (added.length > 0) {
+        const before = structuredClone(key);
+        key.tags = [...(key.tags || []), ...added];
+        key.last_modified = new Date().toISOString();
+        this.recordChange('edit', `Tagged "${key.name}" with ${added.join(', ')}`, [keyChange(before, key, keyIndex)]);
+        await this.saveKeys(keys);
+      }
+      this.reportTags(key, added.length > 0 ? `✓ Tagged "${key.name}" with ${added.join(', ')}` : `"${key.name}" already has those tags.`);
+      return key;
+    });
+  }
+
+  // Remove tags from a key
+  async removeTags(ref, tags) {
+    const unwanted = parseTags(tags);
+    if (unwanted.length === 0) {
+      throw new UsageError('No tags given');
+    }
+
+    return this.withVaultLock(async () => {
+      const keys = await this.loadKeys();
+      const keyIndex = await this.resolveKeyIndex(keys, ref);
+      const key = keys[keyIndex];
+      const kept = (key.tags || []).filter(tag => !unwanted.some(other => other.toLowerCase() === tag.toLowerCase()));
+      const removed = (key.tags || []).length - kept.length;
+
+      if (removed > 0) {
+        const before = structuredClone(key);
+        key.tags = kept;
+        key.last_modified = new Date().toISOString();
+        this.recordChange('edit', `Removed tags from "${key.name}"`, [keyChange(before, key, keyIndex)]);
+        await this.saveKeys(keys);
+      }
+      this.reportTags(key, removed > 0 ? `✓ Removed ${removed} tag${removed === 1 ? '' : 's'} from "${key.name}"` : `"${key.name}" has none of those tags.`);
+      return key;
+    });
+  }
+
+  // Print a key's tags after a change
+  reportTags(key, message) {
+    if (isMachineOutput()) {
+      printResult(this.toKeyRecord(key), KEY_COLUMNS);
+      return;
+    }
+    console.log(message.startsWith('✓') ? chalk.green(message) : chalk.yellow(message));
+    console.log(chalk.gray(`Tags: ${(key.tags || []).join(', ') || 'none'}`));
+  }
+
+  // Every tag in use with the number of keys carrying it
+  async listTags() {
+    const tags = countTags(await this.loadKeys());
+
+    if (isMachineOutput()) {
+      printResult(tags, ['tag', 'count']);
+      return tags;
+    }
+    if (tags.length === 0) {
+      console.log(chalk.yellow('No tags in use.'));
+      console.log(chalk.blue('Use "ssh-kim tag add <key> <tags...>" to tag a key.'));
+      return tags;
+    }
+
+    console.log(chalk.bold.blue(`\nTags (${tags.length}):\n`));
+    const width = Math.max(...tags.map(entry => entry.tag.length));
+    tags.forEach(entry => {
+      console.log(`  ${chalk.cyan(entry.tag.padEnd(width))}  ${entry.count} key${entry.count === 1 ? '' : 's'}`);
+    });
+    console.log('');
+    return tags;
+  }
+
+  // Tag subcommands
+  async manageTags(action, options = {}) {
+    if (action === 'add') {
+      return this.addTags(options.key, options.tags);
+    } else if (action === 'remove') {
+      return this.removeTags(options.key, options.tags);
+    } else if (action === 'list') {
+      return this.listTags();
+    }
+    throw new UsageError(`Unknown tag action "${action}"`);
+  }
+
+  // Keys whose expiry or rotation date has passed or falls within the window
+  async dueKeys(options = {}) {
+    const within = options.within || this.config.get('expiryWarning');
+    const windowMs = parseDuration(within, 'd');
+    const now = Date.now();
+    const keys = await this.loadKeys();
+
+    const due = keys
+      .map(key => ({ key, expiry: this.getKeyExpiry(key, now) }))
+      .filter(({ expiry }) => expiry.due_at && expiry.remaining_ms <= windowMs)
+      .sort((a, b) => a.expiry.remaining_ms - b.expiry.remaining_ms);
+    const records = due.map(({ key, expiry }) => ({
+      id: key.id,
+      name: key.name,
+      due_at: expiry.due_at,
+      reason: expiry.reason,
+      status: expiry.remaining_ms <= 0 ? 'expired' : 'due',
+      days_left: Math.trunc(expiry.remaining_ms / DAY_MS)
+    }));
+
+    if (isMachineOutput()) {
+      printResult(records, DUE_COLUMNS);
+    } else if (records.length === 0) {
+      console.log(chalk.green(`✓ No keys are due for rotation within ${within}.`));
+    } else {
+      console.log(chalk.bold.blue(`\nKeys due for rotation within ${within} (${records.length}):\n`));
+      const rows = due.map(({ key, expiry }) => [key.name, key.id.slice(0, 8), expiry.due_at.slice(0, 10), expiry.reason, describeExpiry(expiry)]);
+      const rowColor = (index) => EXPIRY_STYLES[records[index].status === 'expired' ? 'expired' : 'expiring'];
+      console.log(formatTable(rows, [
+        { header: 'NAME' },
+        { header: 'ID', color: chalk.gray },
+        { header: 'DUE', rowColor },
+        { header: 'REASON', rowColor },
+        { header: 'STATUS', rowColor }
+      ], process.stdout.isTTY ? process.stdout.columns : null));
+      console.log('');
+    }
+
+    if (options.exitCode && records.length > 0) {
+      throw new CheckFailedError(`${records.length} key${records.length === 1 ? ' is' : 's are'} due for rotation`);
+    }
+    return records;
+  }
+
+  // Stored keys followed by keys only the history still knows about, so deleted keys can be referred to
+  getHistoryKeys(keys, history) {
+    const known = new Map(keys.map(key => [key.id, key]));
+    for (const entry of [...history].reverse()) {
+      for (const change of entry.changes || []) {
+        const snapshot = change.after || change.before;
+        if (change.key_id && snapshot && !known.has(change.key_id)) {
+          known.set(change.key_id, snapshot);
+        }
+      }
+    }
+    return [...known.values()];
+  }
+
+  // A history entry for machine output; snapshots never include private keys
+  toHistoryRecord(entry, undone) {
+    const changes = entry.changes || [];
+    return {
+      ...entry,
+      undone: undone.has(entry.id),
+      key_ids: [...new Set(changes.filter(change => change.key_id).map(change => change.key_id))],
+      changes: changes.map(change => change.key_id
+        ? { ...change, before: change.before && this.toKeyRecord(change.before), after: change.after && this.toKeyRecord(change.after) }
+        : change)
+    };
+  }
+
+  // Show the vault's change log, newest first, optionally only the entries touching one key
+  async showHistory(ref, options = {}) {
+    const limit = options.limit === undefined ? DEFAULT_HISTORY_LIMIT : Number(options.limit);
+    if (!Number.isInteger(limit) || limit < 0) {
+      throw new UsageError(`--limit needs a whole number, not "${options.limit}"`);
+    }
+
+    const keys = await this.loadKeys();
+    const history = this.vaultDocument.history;
+    let entries = history;
+    let title = `History of vault "${this.vaultName}"`;
+    if (ref) {
+      const known = this.getHistoryKeys(keys, history);
+      const key = known[await this.resolveKeyIndex(known, ref)];
+      entries = history.filter(entry => (entry.changes || []).some(change => change.key_id === key.id));
+      title = `History of "${key.name}"`;
+    }
+
+    const undone = undoneEntryIds(history);
+    const shown = [...entries].reverse().slice(0, limit || undefined);
+    const records = shown.map(entry => this.toHistoryRecord(entry, undone));
+
+    if (isMachineOutput()) {
+      printResult(records, HISTORY_COLUMNS);
+      return records;
+    }
+    if (records.length === 0) {
+      console.log(chalk.yellow('No changes recorded yet.'));
+      return records;
+    }
+
+    console.log(chalk.bold.blue(`\n${title} (${shown.length} of ${entries.length} changes, newest first):\n`));
+    const rows = shown.map(entry => [
+      `#${entry.id}`,
+      new Date(entry.at).toLocaleString(),
+      entry.user || '',
+      entry.action,
+      `${entry.summary}${undone.has(entry.id) ? ' (undone)' : ''}`
+    ]);
+    const rowColor = (index) => undone.has(shown[index].id) ? chalk.gray : (text => text);
+    console.log(formatTable(rows, [
+      { header: 'ID', align: 'right', color: chalk.gray },
+      { header: 'WHEN', color: chalk.gray },
+      { header: 'USER', color: chalk.gray },
+      { header: 'ACTION', color: chalk.cyan },
+      { header: 'SUMMARY', rowColor }
+    ], process.stdout.isTTY ? process.stdout.columns : null));
+    console.log('');
+    return records;
+  }
+
+  // Put a setting back the way it was before a change; returns the change that reverting made
+  revertSetting(change) {
+    const current = this.getSetting(change.setting, change.scope);
+    this.setSetting(change.setting, change.scope, change.before);
+    return { setting: change.setting, scope: change.scope, before: current, after: change.before };
+  }
 
-    } catch (error) {
-      console.error(chalk.red('Error updating key:'), error.message);
+  // Revert the most recent changes that haven't been undone yet; the undo is itself recorded
+  async undo(count = 1, options = {}) {
+    if (!/^\d+$/.test(String(count)) || Number(count) < 1) {
+      throw new UsageError(`Undo count must be a whole number of at least 1, not "${count}"`);
     }
-  }
 
-  // Delete a key
-  async deleteKey(id, options = {}) {
-    try {
+    return this.withVaultLock(async () => {
       const keys = await this.loadKeys();
-      const keyIndex = keys.findIndex(k => k.id === id);
-      
-      if (keyIndex === -1) {
-        console.error(chalk.red(`Key with ID "${id}" not found.`));
-        return;
+      const entries = undoableEntries(this.vaultDocument.history, Number(count));
+      if (entries.length === 0) {
+        throw new NotFoundError('Nothing to undo');
+      }
+      if (entries.length < Number(count)) {
+        throw new UsageError(`Only ${entries.length} change${entries.length === 1 ? ' is' : 's are'} left to undo. Nothing was changed.`);
       }
 
-      const key = keys[keyIndex];
-
-      // Confirmation
       if (!options.force) {
+        console.log(chalk.bold('This will undo:'));
+        for (const entry of entries) {
+          console.log(`  #${entry.id} ${chalk.cyan(entry.action)} ${entry.summary} ${chalk.gray(`(${new Date(entry.at).toLocaleString()})`)}`);
+        }
         const answer = await inquirer.prompt([
           {
             type: 'confirm',
             name: 'confirm',
-            message: `Are you sure you want to delete "${key.name}"?`,
+            message: `Undo ${entries.length === 1 ? 'this change' : `these ${entries.length} changes`}?`,
             default: false
           }
         ]);
 
         if (!answer.confirm) {
-          console.log(chalk.yellow('Deletion cancelled.'));
-          return;
+          throw new CancelledError('Undo cancelled');
         }
       }
 
-      keys.splice(keyIndex, 1);
-      await this.saveKeys(keys);
-      console.log(chalk.green(`✓ SSH key "${key.name}" deleted successfully!`));
+      // Newest first, and each entry's changes in reverse, so overlapping changes unwind in order
+      const changes = [];
+      for (const entry of entries) {
+        for (const change of [...(entry.changes || [])].reverse().filter(change => !change.redacted)) {
+          changes.push(change.setting ? this.revertSetting(change) : revertKeyChange(keys, change, this.vaultDocument.trash));
+        }
+      }
 
-    } catch (error) {
-      console.error(chalk.red('Error deleting key:'), error.message);
-    }
-  }
+      const reverts = entries.map(entry => entry.id);
+      this.recordChange('undo', `Undid ${reverts.map(id => `#${id}`).join(', ')}`, changes, { reverts });
+      await this.saveKeys(keys);
 
-  // Copy key to clipboard
-  async copyKey(id) {
-    try {
-      const keys = await this.loadKeys();
-      const key = keys.find(k => k.id === id);
-      
-      if (!key) {
-        console.error(chalk.red(`Key with ID "${id}" not found.`));
-        return;
+      if (isMachineOutput()) {
+        printResult({ undone: reverts, changes: changes.length });
+      } else {
+        for (const entry of entries) {
+          console.log(chalk.green(`✓ Undid #${entry.id}: ${entry.summary}`));
+        }
       }
+      return entries;
+    });
+  }
 
-      await clipboardy.write(key.key);
-      console.log(chalk.green(`✓ SSH key "${key.name}" copied to clipboard!`));
+  // Security report: weak algorithms, duplicates, stale, untagged and malformed keys
+  async auditVault(options = {}) {
+    const failOn = options.failOn ? options.failOn.toLowerCase() : null;
+    if (failOn) {
+      severityRank(failOn);
+    }
+    const maxAge = options.maxAge !== undefined ? options.maxAge : this.config.get('auditMaxAge');
+    const maxAgeMs = maxAge && maxAge !== '0' ? parseDuration(maxAge, 'd') : null;
 
-    } catch (error) {
-      console.error(chalk.red('Error copying key:'), error.message);
+    const keys = await this.loadKeys();
+    const findings = auditKeys(keys, { maxAgeMs });
+    const summary = summarizeFindings(findings);
+
+    if (isMachineOutput()) {
+      printResult(findings, AUDIT_COLUMNS);
+    } else if (findings.length === 0) {
+      console.log(chalk.green(`✓ No problems found in ${keys.length} keys.`));
+    } else {
+      const counts = Object.entries(summary).reverse().filter(([, count]) => count > 0).map(([severity, count]) => `${count} ${severity}`);
+      console.log(chalk.bold.blue(`\nAudit of vault "${this.vaultName}": ${findings.length} finding${findings.length === 1 ? '' : 's'} in ${keys.length} keys (${counts.join(', ')})\n`));
+      findings.forEach(finding => {
+        const label = SEVERITY_STYLES[finding.severity](finding.severity.toUpperCase().padEnd(8));
+        console.log(`${label} ${chalk.bold(finding.key_name)} ${chalk.gray(`(${finding.key_id.slice(0, 8)})`)}: ${finding.message} ${chalk.gray(`[${finding.check}]`)}`);
+      });
+      console.log('');
     }
-  }
 
-  // Scan common SSH locations
-  async scanKeys(options = {}) {
-    const spinner = ora('Scanning for SSH keys...').start();
-    
-    try {
-      const locations = this.getCommonSSHLocations();
-      const foundKeys = [];
-
-      for (const location of locations) {
-        if (fs.existsSync(location)) {
-          const files = await fs.readdir(location);
-          for (const file of files) {
-            if (file.endsWith('.pub')) {
-              const filePath = path.join(location, file);
-              try {
-                const content = await fs.readFile(filePath, 'utf8');
-                const keyType = this.detectKeyType(content);
-                
-                foundKeys.push({
-                  name: file,
-                  path: filePath,
-                  content: content.trim(),
-                  type: keyType
-                });
-              } catch (error) {
-                // Skip files that can't be read
-              }
-            }
-          }
-        }
+    if (failOn) {
+      const failing = findings.filter(finding => severityRank(finding.severity) >= severityRank(failOn));
+      if (failing.length > 0) {
+        throw new CheckFailedError(`${failing.length} audit finding${failing.length === 1 ? '' : 's'} at or above ${failOn}`);
       }
+    }
+    return findings;
+  }
 
-      spinner.stop();
+  // Re-encrypt the vault with a new password or the machine key
+  async rekey(options = {}) {
+    const target = options.to || (this.isPasswordMode() ? 'password' : 'machine');
+    if (!['password', 'machine'].includes(target)) {
+      throw new UsageError(`Unknown encryption mode "${target}". Use "password" or "machine".`);
+    }
 
-      if (foundKeys.length === 0) {
-        console.log(chalk.yellow('No SSH keys found in common locations.'));
-        return;
+    let newPassword = null;
+    if (target === 'password') {
+      // Unlock with the current password first so a typo in the new one can't lock us out
+      const filePath = this.getKeysFilePath();
+      if (fs.existsSync(filePath)) {
+        const content = await fs.readFile(filePath, 'utf8');
+        await this.ensureUnlocked(isLegacyVault(content) ? null : readVaultHeader(content).kdf);
       }
-
-      console.log(chalk.bold.blue(`\nFound ${foundKeys.length} SSH keys:\n`));
-      
-      foundKeys.forEach((key, index) => {
-        console.log(chalk.bold(`${index + 1}. ${key.name}`));
-        console.log(`   Path: ${chalk.gray(key.path)}`);
-        console.log(`   Type: ${chalk.green(key.type)}`);
-        console.log(`   Key: ${chalk.gray(key.content.substring(0, 50))}...`);
-        console.log('');
+      newPassword = await this.readPassword({
+        env: 'SSH_KIM_NEW_PASSWORD',
+        confirm: true,
+        message: 'Enter new vault password:'
       });
+    }
 
-    } catch (error) {
-      spinner.stop();
-      console.error(chalk.red('Error scanning keys:'), error.message);
+    const { keys: count, removedBackups } = await this.rekeyVault(newPassword);
+    const suffix = count > 0 ? ` (${count} keys re-encrypted)` : '';
+    if (newPassword) {
+      console.log(chalk.green(`✓ Vault password set${suffix}. It is never stored; you will be prompted for it on use.`));
+    } else {
+      console.log(chalk.green(`✓ Vault now uses machine-specific encryption${suffix}.`));
     }
+    this.reportRemovedBackups(removedBackups);
   }
 
-  // Get common SSH locations
-  getCommonSSHLocations() {
-    const homeDir = os.homedir();
-    const locations = [
-      path.join(homeDir, '.ssh'),
-      path.join(homeDir, 'ssh'),
-      path.join(homeDir, 'Documents', 'ssh')
-    ];
-
-    // Add Windows-specific locations
-    if (process.platform === 'win32') {
-      locations.push(
-        path.join(process.env.APPDATA, 'PuTTY'),
-        path.join(process.env.LOCALAPPDATA, 'ssh')
-      );
+  // Tell the user that backups under the previous key were deleted
+  reportRemovedBackups(count) {
+    if (count > 0) {
+      console.log(chalk.yellow(`Deleted ${count} vault backup${count === 1 ? '' : 's'} encrypted with the previous key.`));
     }
-
-    return locations;
   }
 
-  // Scan common locations and return key objects
-  async scanCommonLocations() {
-    const locations = this.getCommonSSHLocations();
-    const foundKeys = [];
+  // Restore the vault from a backup, chosen by number (1 = newest) or path
+  async restoreFromBackup(options = {}) {
+    const backups = await this.listBackups();
+    let backupPath;
 
-    for (const location of locations) {
-      if (fs.existsSync(location)) {
-        const files = await fs.readdir(location);
-        for (const file of files) {
-          if (file.endsWith('.pub')) {
-            const filePath = path.join(location, file);
-            try {
-              const content = await fs.readFile(filePath, 'utf8');
-              const keyType = this.detectKeyType(content);
-              
-              foundKeys.push({
-                name: file,
-                path: filePath,
-                content: content.trim(),
-                type: keyType
-              });
-            } catch (error) {
-              // Skip files that can't be read
-            }
-          }
+    if (options.backup && /^\d+$/.test(options.backup)) {
+      const backup = backups[parseInt(options.backup, 10) - 1];
+      if (!backup) {
+        throw new NotFoundError(`There is no backup number ${options.backup}. Run "ssh-kim vault backups" to list them.`);
+      }
+      backupPath = backup.path;
+    } else if (options.backup) {
+      backupPath = path.resolve(options.backup);
+      if (!fs.existsSync(backupPath)) {
+        throw new NotFoundError(`Backup file "${options.backup}" does not exist`);
+      }
+    } else if (backups.length > 0) {
+      backupPath = backups[0].path;
+    } else {
+      throw new NotFoundError('No backups found');
+    }
+
+    if (!options.force) {
+      const answer = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'confirm',
+          message: `Replace the vault with ${path.basename(backupPath)}? The current vault is backed up first.`,
+          default: false
         }
+      ]);
+
+      if (!answer.confirm) {
+        throw new CancelledError('Restore cancelled');
       }
     }
 
-    return foundKeys;
+    await this.restoreBackup(backupPath);
+    const keys = await this.loadKeys();
+    console.log(chalk.green(`✓ Vault restored from ${path.basename(backupPath)} (${keys.length} keys).`));
   }
 
-  // Import keys
-  async importKeys(options = {}) {
+  // List vault profiles, marking the active one
+  listVaults() {
+    console.log(chalk.bold.blue('\nVaults:\n'));
+    for (const [name, profile] of Object.entries(this.getVaultProfiles())) {
+      const filePath = new SSHKeyManager({ vault: name }).getKeysFilePath();
+      const marker = name === this.vaultName ? chalk.green('*') : ' ';
+      const mode = profile.encryptionMode === 'password' ? 'password' : 'machine';
+      const state = fs.existsSync(filePath) ? '' : chalk.yellow(' (not created yet)');
+      console.log(`${marker} ${chalk.bold(name)} ${chalk.gray(`[${mode}] ${filePath}`)}${state}`);
+    }
+    console.log('');
+  }
+
+  // Create a named vault profile, optionally password protected or pointing at an existing file
+  async createVault(name, options = {}) {
+    if (!VAULT_NAME_PATTERN.test(name || '')) {
+      throw new UsageError('Vault names must start with a letter or digit and contain only letters, digits, "-" and "_"');
+    }
+    if (this.getVaultProfiles()[name]) {
+      throw new ConflictError(`Vault "${name}" already exists`);
+    }
+
+    const profile = { encryptionMode: options.password ? 'password' : 'machine' };
+    if (options.path) {
+      profile.path = path.resolve(options.path);
+    }
+    this.config.set(`vaults.${name}`, profile);
+
+    const manager = new SSHKeyManager({ vault: name });
+    const filePath = manager.getKeysFilePath();
     try {
-      if (options.file) {
-        await this.importFromFile(options.file, options.password);
-      } else if (options.directory) {
-        await this.importFromDirectory(options.directory);
+      if (fs.existsSync(filePath)) {
+        console.log(chalk.green(`✓ Vault "${name}" registered for the existing file ${filePath}.`));
       } else {
-        const answer = await inquirer.prompt([
-          {
-            type: 'list',
-            name: 'importType',
-            message: 'How would you like to import keys?',
-            choices: [
-              { name: 'Import from file', value: 'file' },
-              { name: 'Import from directory', value: 'directory' },
-              { name: 'Scan common locations', value: 'scan' }
-            ]
-          }
-        ]);
-
-        if (answer.importType === 'file') {
-          const fileAnswer = await inquirer.prompt([
-            {
-              type: 'input',
-              name: 'filePath',
-              message: 'Enter path to SSH key file:',
-              validate: (input) => {
-                try {
-                  return fs.existsSync(input) ? true : 'File does not exist';
-                } catch {
-                  return 'Invalid file path';
-                }
-              }
-            }
-          ]);
-          await this.importFromFile(fileAnswer.filePath);
-        } else if (answer.importType === 'directory') {
-          const dirAnswer = await inquirer.prompt([
-            {
-              type: 'input',
-              name: 'dirPath',
-              message: 'Enter directory path:',
-              validate: (input) => {
-                try {
-                  return fs.existsSync(input) ? true : 'Directory does not exist';
-                } catch {
-                  return 'Invalid directory path';
-                }
-              }
-            }
-          ]);
-          await this.importFromDirectory(dirAnswer.dirPath);
-        } else {
-          await this.importFromScan();
+        // Write an empty vault now so the password is fixed at creation, not on the first save
+        if (options.password) {
+          manager.password = await manager.readPassword({
+            env: 'SSH_KIM_NEW_PASSWORD',
+            confirm: true,
+            message: `Enter password for vault "${name}":`
+          });
         }
+        await manager.saveKeys([]);
+        console.log(chalk.green(`✓ Vault "${name}" created at ${filePath}.`));
       }
     } catch (error) {
-      console.error(chalk.red('Error importing keys:'), error.message);
+      this.config.delete(`vaults.${name}`);
+      throw error;
     }
-  }
 
-  // Import from file
-  async importFromFile(filePath, password = null) {
-    try {
-      let content;
-      if (password) {
-        // Handle encrypted import
-        const encryptedData = await fs.readFile(filePath, 'utf8');
-        const tempKey = this.deriveKeyFromPassword(password);
-        const parts = encryptedData.split(':');
-        const iv = Buffer.from(parts[0], 'hex');
-        const encrypted = parts[1];
-        const decipher = crypto.createDecipheriv('aes-256-cbc', tempKey, iv);
-        let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-        decrypted += decipher.final('utf8');
-        content = decrypted;
-      } else {
-        content = await fs.readFile(filePath, 'utf8');
-      }
+    if (options.use) {
+      this.config.set('currentVault', name);
+    }
+    console.log(chalk.gray(options.use ? `Now using vault "${name}".` : `Use it with "ssh-kim --vault ${name} ..." or "ssh-kim vault use ${name}".`));
+  }
 
-      const data = JSON.parse(content);
-      const keys = data.keys || [data]; // Handle both array and single key
-      
-      const existingKeys = await this.loadKeys();
-      let importedCount = 0;
-      let duplicateCount = 0;
-
-      for (const keyData of keys) {
-        // Check for duplicates
-        const isDuplicate = existingKeys.some(existing => 
-          existing.key === keyData.key || existing.name === keyData.name
-        );
+  // Remove a vault profile and, unless asked to keep it, its file
+  async removeVault(name, options = {}) {
+    if (name === DEFAULT_VAULT) {
+      throw new UsageError('The default vault cannot be removed');
+    }
+    this.getVaultProfile(name);
+    const filePath = new SSHKeyManager({ vault: name }).getKeysFilePath();
+    const deleteFile = !options.keepFile && fs.existsSync(filePath);
 
-        if (!isDuplicate) {
-          const newKey = {
-            id: this.generateId(),
-            name: keyData.name,
-            tag: keyData.tag || null,
-            key: keyData.key,
-            key_type: keyData.key_type || this.detectKeyType(keyData.key),
-            created: keyData.created || new Date().toISOString(),
-            last_modified: new Date().toISOString()
-          };
-          existingKeys.push(newKey);
-          importedCount++;
-        } else {
-          duplicateCount++;
+    if (!options.force) {
+      const answer = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'confirm',
+          message: deleteFile
+            ? `Remove vault "${name}" and delete ${filePath}? Its backups are kept.`
+            : `Remove vault "${name}"?`,
+          default: false
         }
-      }
+      ]);
 
-      await this.saveKeys(existingKeys);
-      console.log(chalk.green(`✓ Imported ${importedCount} keys successfully!`));
-      if (duplicateCount > 0) {
-        console.log(chalk.yellow(`Skipped ${duplicateCount} duplicate keys.`));
+      if (!answer.confirm) {
+        throw new CancelledError('Removal cancelled');
       }
-
-    } catch (error) {
-      console.error(chalk.red('Error importing from file:'), error.message);
     }
-  }
 
-  // Import from directory
-  async importFromDirectory(dirPath) {
-    const files = await fs.readdir(dirPath);
-    const pubFiles = files.filter(file => file.endsWith('.pub'));
-    
-    if (pubFiles.length === 0) {
-      console.log(chalk.yellow('No SSH public key files found in directory.'));
-      return;
+    if (deleteFile) {
+      await fs.remove(filePath);
     }
+    this.session.clear(filePath);
+    this.config.delete(`vaults.${name}`);
+    if (this.config.get('currentVault') === name) {
+      this.config.set('currentVault', DEFAULT_VAULT);
+    }
+    console.log(chalk.green(`✓ Vault "${name}" removed.`));
+  }
 
-    const keys = await this.loadKeys();
-    let importedCount = 0;
-
-    for (const file of pubFiles) {
-      const filePath = path.join(dirPath, file);
-      try {
-        const content = await fs.readFile(filePath, 'utf8');
-        const keyType = this.detectKeyType(content);
-        
-        const newKey = {
-          id: this.generateId(),
-          name: file,
-          tag: null,
-          key: content.trim(),
-          key_type: keyType,
-          created: new Date().toISOString(),
-          last_modified: new Date().toISOString()
-        };
-
-        keys.push(newKey);
-        importedCount++;
-      } catch (error) {
-        console.log(chalk.yellow(`Skipped ${file}: ${error.message}`));
+  // Vault maintenance commands
+  async manageVault(action, options = {}) {
+    if (action === 'rekey') {
+      await this.rekey({ to: options.password ? 'password' : options.machine ? 'machine' : undefined });
+    } else if (action === 'backups') {
+      const backups = await this.listBackups();
+      if (backups.length === 0) {
+        console.log(chalk.yellow('No backups found.'));
+        return;
       }
+      console.log(chalk.bold.blue(`\nBackups in ${this.getBackupDir()}:\n`));
+      backups.forEach((backup, index) => {
+        console.log(`${chalk.bold(`${index + 1}.`)} ${backup.date.toLocaleString()} ${chalk.gray(`${backup.name}, ${backup.size} bytes`)}`);
+      });
+    } else if (action === 'restore') {
+      await this.restoreFromBackup(options);
+    } else if (action === 'list') {
+      this.listVaults();
+    } else if (action === 'create') {
+      await this.createVault(options.name, options);
+    } else if (action === 'use') {
+      this.getVaultProfile(options.name);
+      this.config.set('currentVault', options.name);
+      console.log(chalk.green(`✓ Now using vault "${options.name}".`));
+    } else if (action === 'remove') {
+      await this.removeVault(options.name, options);
+    } else {
+      throw new UsageError(`Unknown vault action "${action}"`);
     }
-
-    await this.saveKeys(keys);
-    console.log(chalk.green(`✓ Imported ${importedCount} keys successfully!`));
   }
 
-  // Import from scan
-  async importFromScan() {
-    const scannedKeys = await this.scanCommonLocations();
-    
-    if (scannedKeys.length === 0) {
-      console.log(chalk.yellow('No SSH keys found in common locations.'));
+  // Unlock a password-protected vault for a limited time
+  async unlockVault(options = {}) {
+    if (!this.isPasswordMode()) {
+      console.log(chalk.yellow('The vault uses machine-specific encryption; there is nothing to unlock.'));
       return;
     }
 
-    const keyChoices = scannedKeys.map(key => ({
-      name: `${key.name} (${key.path})`,
-      value: key,
-      checked: true
-    }));
-
-    const selectedKeys = await inquirer.prompt([
-      {
-        type: 'checkbox',
-        name: 'keys',
-        message: 'Select keys to import:',
-        choices: keyChoices
-      }
-    ]);
+    const ttl = parseDuration(options.ttl || this.config.get('sessionTTL'), 'm');
+    const filePath = this.getKeysFilePath();
 
-    if (selectedKeys.keys.length === 0) {
-      console.log(chalk.yellow('No keys selected for import.'));
+    if (!fs.existsSync(filePath)) {
+      console.log(chalk.yellow('No vault file exists yet; it will be created on the first save.'));
       return;
     }
 
-    const keys = await this.loadKeys();
-    let importedCount = 0;
-
-    for (const selectedKey of selectedKeys.keys) {
-      const newKey = {
-        id: this.generateId(),
-        name: selectedKey.name,
-        tag: null,
-        key: selectedKey.content,
-        key_type: selectedKey.type,
-        created: new Date().toISOString(),
-        last_modified: new Date().toISOString()
-      };
-
-      keys.push(newKey);
-      importedCount++;
+    // Verify the password by decrypting the vault before caching its key
+    this.password = await this.readPassword();
+    const content = await fs.readFile(filePath, 'utf8');
+    this.decryptData(content);
+    if (isLegacyVault(content)) {
+      await this.loadKeys();
     }
 
-    await this.saveKeys(keys);
-    console.log(chalk.green(`✓ Imported ${importedCount} keys successfully!`));
+    const kdf = this.vaultKdf;
+    const expiresAt = this.session.save(filePath, kdf, this.getVaultKey(kdf), ttl);
+    console.log(chalk.green(`✓ Vault unlocked until ${expiresAt.toLocaleString()}.`));
   }
 
-  // Export keys
-  async exportKeys(options = {}) {
-    try {
-      const keys = await this.loadKeys();
-      
-      if (keys.length === 0) {
-        console.log(chalk.yellow('No keys to export.'));
-        return;
-      }
+  // End the unlock session
+  async lockVault(options = {}) {
+    const hadSession = this.session.clear(options.all ? null : this.getKeysFilePath());
+    this.password = null;
+    this.sessionKey = null;
+    console.log(hadSession ? chalk.green('✓ Vault locked.') : chalk.yellow('No active unlock session.'));
+  }
+
+  // Describe how the vault file on disk is encrypted
+  async describeVaultEncryption() {
+    const filePath = this.getKeysFilePath();
+    if (!fs.existsSync(filePath)) {
+      return `${VAULT_CIPHER.toUpperCase()}, ${describeKdf(this.getKdfParams())} (no vault yet)`;
+    }
 
-      let keysToExport = keys;
+    const content = await fs.readFile(filePath, 'utf8');
+    if (isLegacyVault(content)) {
+      return 'AES-256-CBC (legacy format, upgraded on next load)';
+    }
 
-      if (options.id) {
-        const key = keys.find(k => k.id === options.id);
-        if (!key) {
-          console.error(chalk.red(`Key with ID "${options.id}" not found.`));
-          return;
+    try {
+      const header = readVaultHeader(content);
+      return `${header.cipher.toUpperCase()}, ${describeKdf(header.kdf)} (format v${header.version})`;
+    } catch (error) {
+      return `unreadable (${error.message})`;
+    }
+  }
+
+  // Manage configuration
+  async manageConfig(options = {}) {
+    if (options.show && isMachineOutput()) {
+      const expiry = this.isPasswordMode() ? this.session.getExpiry(this.getKeysFilePath()) : null;
+      printResult({
+        vault: this.vaultName,
+        keys_file_path: this.getKeysFilePath(),
+        default_ssh_dir: this.config.get('defaultSSHDir'),
+        custom_path: Boolean(this.getVaultSetting('path')),
+        config_file: this.config.path,
+        encryption_mode: this.isPasswordMode() ? 'password' : 'machine',
+        vault_encryption: await this.describeVaultEncryption(),
+        unlocked_until: expiry ? expiry.toISOString() : null,
+        session_ttl: this.config.get('sessionTTL'),
+        backup_count: this.config.get('backupCount'),
+        backup_dir: this.getBackupDir(),
+        audit_max_age: this.config.get('auditMaxAge'),
+        rotate_every: this.getVaultSetting('rotateEvery') || null,
+        expiry_warning: this.config.get('expiryWarning')
+      });
+    } else if (options.show) {
+      console.log(chalk.bold.blue(`\nCurrent Configuration:\n`));
+      console.log(`Vault: ${chalk.gray(this.vaultName)}`);
+      console.log(`Keys File Path: ${chalk.gray(this.getKeysFilePath())}`);
+      console.log(`Default SSH Dir: ${chalk.gray(this.config.get('defaultSSHDir'))}`);
+      console.log(`Custom Path Set: ${chalk.gray(this.getVaultSetting('path') ? 'Yes' : 'No')}`);
+      console.log(`Config File: ${chalk.gray(this.config.path)}`);
+      console.log(`Encryption Mode: ${chalk.gray(this.isPasswordMode() ? 'Password-based (prompted on use)' : 'Machine-specific')}`);
+      console.log(`Vault Encryption: ${chalk.gray(await this.describeVaultEncryption())}`);
+      if (this.isPasswordMode()) {
+        const expiry = this.session.getExpiry(this.getKeysFilePath());
+        console.log(`Unlock Session: ${chalk.gray(expiry ? `active until ${expiry.toLocaleString()}` : 'locked')}`);
+      }
+      console.log(`Session TTL: ${chalk.gray(this.config.get('sessionTTL'))}`);
+      const backupCount = this.config.get('backupCount');
+      console.log(`Backups: ${chalk.gray(backupCount ? `last ${backupCount} kept in ${this.getBackupDir()}` : 'disabled')}`);
+      const auditMaxAge = this.config.get('auditMaxAge');
+      console.log(`Audit Max Key Age: ${chalk.gray(auditMaxAge && auditMaxAge !== '0' ? auditMaxAge : 'disabled')}`);
+      console.log(`Rotation Policy: ${chalk.gray(this.getVaultSetting('rotateEvery') ? `every ${this.getVaultSetting('rotateEvery')}` : 'none')}`);
+      console.log(`Expiry Warning: ${chalk.gray(this.config.get('expiryWarning'))}`);
+    } else if (options.rotateEvery !== undefined) {
+      const interval = parseRotationInterval(options.rotateEvery);
+      await this.changeSettings([{ setting: 'rotateEvery', scope: 'vault', value: interval }], 'Changed the rotation policy');
+      console.log(chalk.green(interval ? `✓ Keys in vault "${this.vaultName}" are due for rotation every ${interval} unless they set their own interval.` : `✓ Rotation policy for vault "${this.vaultName}" cleared.`));
+    } else if (options.expiryWarning !== undefined) {
+      parseDuration(options.expiryWarning, 'd');
+      await this.changeSettings([{ setting: 'expiryWarning', value: options.expiryWarning }], 'Changed the expiry warning');
+      console.log(chalk.green(`✓ Keys are reported as expiring ${options.expiryWarning} before they are due.`));
+    } else if (options.auditMaxAge !== undefined) {
+      if (options.auditMaxAge !== '0') {
+        parseDuration(options.auditMaxAge, 'd');
+      }
+      await this.changeSettings([{ setting: 'auditMaxAge', value: options.auditMaxAge }], 'Changed the audit max key age');
+      console.log(chalk.green(options.auditMaxAge !== '0' ? `✓ audit flags keys older than ${options.auditMaxAge}.` : '✓ audit no longer checks key age.'));
+    } else if (options.backups !== undefined) {
+      const count = Number(options.backups);
+      if (!Number.isInteger(count) || count < 0) {
+        throw new UsageError('Backup count must be a whole number (0 disables backups)');
+      }
+      await this.changeSettings([{ setting: 'backupCount', value: count }], 'Changed the backup count');
+      console.log(chalk.green(count ? `✓ Keeping the last ${count} vault backups.` : '✓ Vault backups disabled.'));
+    } else if (options.sessionTtl) {
+      parseDuration(options.sessionTtl, 'm');
+      await this.changeSettings([{ setting: 'sessionTTL', value: options.sessionTtl }], 'Changed the unlock session TTL');
+      console.log(chalk.green(`✓ Default unlock session TTL set to ${options.sessionTtl}.`));
+    } else if (options.kdf || options.kdfCost) {
+      const name = options.kdf || this.config.get('kdf');
+      const cost = options.kdfCost !== undefined ? parseInt(options.kdfCost, 10) : null;
+      const kdf = createKdfParams(name, cost);
+
+      // Re-encrypt the existing vault so the new parameters take effect immediately
+      await this.withVaultLock(async () => {
+        const keys = await this.loadKeys();
+        const changes = [['kdf', name], ['kdfCost', cost]].map(([setting, value]) => ({ setting, scope: 'global', before: this.getSetting(setting, 'global'), after: value }));
+        this.config.set('kdf', name);
+        this.config.set('kdfCost', cost);
+        if (fs.existsSync(this.getKeysFilePath())) {
+          this.vaultKdf = kdf;
+          this.recordChange('config', `Changed key derivation to ${describeKdf(kdf)}`, changes);
+          await this.saveKeys(keys);
         }
-        keysToExport = [key];
+      });
+      console.log(chalk.green(`✓ Key derivation set to ${describeKdf(kdf)}.`));
+    } else if (options.path) {
+      this.setVaultSetting('path', path.resolve(options.path));
+      console.log(chalk.green(`✓ Custom keys file path set to: ${options.path}`));
+    } else if (options.reset) {
+      // Move a password-protected vault back to the machine key before forgetting the mode
+      let removedBackups = 0;
+      if (this.isPasswordMode()) {
+        ({ removedBackups } = await this.rekeyVault(null));
       }
+      await this.changeSettings([
+        { setting: 'rotateEvery', scope: 'vault', value: null },
+        ...['sessionTTL', 'kdf', 'kdfCost', 'backupCount', 'auditMaxAge', 'expiryWarning'].map(setting => ({ setting, value: null }))
+      ], 'Reset the configuration to defaults');
+      this.setVaultSetting('path', null);
+      this.setVaultSetting('encryptionMode', 'machine');
+      this.session.clear();
+      this.password = null;
+      console.log(chalk.green(`✓ Configuration reset to defaults.`));
+      this.reportRemovedBackups(removedBackups);
+    } else if (options.setPassword || options.changePassword) {
+      await this.rekey({ to: 'password' });
+    } else if (options.clearPassword) {
+      await this.rekey({ to: 'machine' });
+    } else {
+      const answer = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'action',
+          message: 'What would you like to do?',
+          choices: [
+            { name: 'Show current configuration', value: 'show' },
+            { name: 'Set custom keys file path', value: 'path' },
+            { name: this.isPasswordMode() ? 'Change encryption password' : 'Set encryption password', value: 'setPassword' },
+            { name: 'Clear encryption password', value: 'clearPassword' },
+            { name: 'Reset to defaults', value: 'reset' }
+          ]
+        }
+      ]);
 
-      let outputPath = options.file;
-      
-      if (!outputPath) {
-        const answer = await inquirer.prompt([
+      if (answer.action === 'show') {
+        await this.manageConfig({ show: true });
+      } else if (answer.action === 'path') {
+        const pathAnswer = await inquirer.prompt([
           {
             type: 'input',
             name: 'filePath',
-            message: 'Enter output file path:',
-            default: `ssh_keys_export_${new Date().toISOString().split('T')[0]}.json`
+            message: 'Enter custom keys file path:',
+            default: this.getKeysFilePath()
           }
         ]);
-        outputPath = answer.filePath;
-      }
-
-      const exportData = {
-        exported_at: new Date().toISOString(),
-        total_keys: keysToExport.length,
-        keys: keysToExport
-      };
-
-      if (options.password) {
-        // Encrypted export
-        const data = JSON.stringify(exportData, null, 2);
-        const tempKey = this.deriveKeyFromPassword(options.password);
-        const iv = crypto.randomBytes(16);
-        const cipher = crypto.createCipheriv('aes-256-cbc', tempKey, iv);
-        let encrypted = cipher.update(data, 'utf8', 'hex');
-        encrypted += cipher.final('hex');
-        const encryptedData = iv.toString('hex') + ':' + encrypted;
-        await fs.writeFile(outputPath, encryptedData);
-        console.log(chalk.green(`✓ Exported ${keysToExport.length} keys to "${outputPath}" (encrypted)`));
-      } else {
-        // Plain export
-        await fs.writeFile(outputPath, JSON.stringify(exportData, null, 2));
-        console.log(chalk.green(`✓ Exported ${keysToExport.length} keys to "${outputPath}"`));
+        await this.manageConfig({ path: pathAnswer.filePath });
+      } else if (answer.action === 'setPassword') {
+        await this.manageConfig({ setPassword: true });
+      } else if (answer.action === 'clearPassword') {
+        await this.manageConfig({ clearPassword: true });
+      } else if (answer.action === 'reset') {
+        await this.manageConfig({ reset: true });
       }
-
-    } catch (error) {
-      console.error(chalk.red('Error exporting keys:'), error.message);
     }
   }
 
-  // Show key details
-  async showKey(id) {
-    try {
-      const keys = await this.loadKeys();
-      const key = keys.find(k => k.id === id);
-      
-      if (!key) {
-        console.error(chalk.red(`Key with ID "${id}" not found.`));
-        return;
-      }
-
-      console.log(chalk.bold.blue(`\nSSH Key Details:\n`));
-      console.log(chalk.bold(`Name: ${key.name}`));
-      console.log(chalk.gray(`ID: ${key.id}`));
-      if (key.tag) {
-        console.log(chalk.cyan(`Tag: ${key.tag}`));
-      }
-      console.log(chalk.green(`Type: ${key.key_type}`));
-      console.log(chalk.gray(`Created: ${new Date(key.created).toLocaleString()}`));
-      console.log(chalk.gray(`Modified: ${new Date(key.last_modified).toLocaleString()}`));
-      console.log(chalk.bold(`\nKey Content:`));
-      console.log(chalk.gray(key.key));
-
-    } catch (error) {
-      console.error(chalk.red('Error showing key:'), error.message);
+  // Ask for a list query when there are too many keys to scroll through
+  async promptKeyQuery(keys) {
+    if (keys.length <= PICKER_QUERY_THRESHOLD) {
+      return '';
     }
-  }
 
-  // Manage configuration
-  async manageConfig(options = {}) {
-    try {
-      if (options.show) {
-        console.log(chalk.bold.blue(`\nCurrent Configuration:\n`));
-        console.log(`Keys File Path: ${chalk.gray(this.getKeysFilePath())}`);
-        console.log(`Default SSH Dir: ${chalk.gray(this.config.get('defaultSSHDir'))}`);
-        console.log(`Custom Path Set: ${chalk.gray(this.config.get('keysFilePath') ? 'Yes' : 'No')}`);
-        console.log(`Encryption Mode: ${chalk.gray(this.passwordKey ? 'Password-based' : 'Machine-specific')}`);
-      } else if (options.path) {
-        this.config.set('keysFilePath', options.path);
-        console.log(chalk.green(`✓ Custom keys file path set to: ${options.path}`));
-      } else if (options.reset) {
-        this.config.delete('keysFilePath');
-        this.config.delete('encryptionPassword');
-        this.passwordKey = null;
-        console.log(chalk.green(`✓ Configuration reset to defaults.`));
-      } else if (options.setPassword) {
-        this.config.set('encryptionPassword', options.setPassword);
-        this.passwordKey = this.deriveKeyFromPassword(options.setPassword);
-        console.log(chalk.green(`✓ Encryption password set successfully.`));
-      } else if (options.clearPassword) {
-        this.config.delete('encryptionPassword');
-        this.passwordKey = null;
-        console.log(chalk.green(`✓ Encryption password cleared. Using machine-specific encryption.`));
-      } else {
-        const answer = await inquirer.prompt([
-          {
-            type: 'list',
-            name: 'action',
-            message: 'What would you like to do?',
-            choices: [
-              { name: 'Show current configuration', value: 'show' },
-              { name: 'Set custom keys file path', value: 'path' },
-              { name: 'Set encryption password', value: 'setPassword' },
-              { name: 'Clear encryption password', value: 'clearPassword' },
-              { name: 'Reset to defaults', value: 'reset' }
-            ]
+    const answer = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'query',
+        message: `Filter ${keys.length} keys (e.g. "tag:prod type:ed25519", empty for all):`,
+        validate: (input) => {
+          try {
+            return keys.some(compileQuery(input)) ? true : 'No keys match this query';
+          } catch (error) {
+            return error.message;
           }
-        ]);
-
-        if (answer.action === 'show') {
-          await this.manageConfig({ show: true });
-        } else if (answer.action === 'path') {
-          const pathAnswer = await inquirer.prompt([
-            {
-              type: 'input',
-              name: 'filePath',
-              message: 'Enter custom keys file path:',
-              default: this.getKeysFilePath()
-            }
-          ]);
-          await this.manageConfig({ path: pathAnswer.filePath });
-        } else if (answer.action === 'setPassword') {
-          const passwordAnswer = await inquirer.prompt([
-            {
-              type: 'password',
-              name: 'password',
-              message: 'Enter encryption password:',
-              validate: (input) => input.length >= 6 ? true : 'Password must be at least 6 characters'
-            }
-          ]);
-          await this.manageConfig({ setPassword: passwordAnswer.password });
-        } else if (answer.action === 'clearPassword') {
-          await this.manageConfig({ clearPassword: true });
-        } else if (answer.action === 'reset') {
-          await this.manageConfig({ reset: true });
         }
       }
-    } catch (error) {
-      console.error(chalk.red('Error managing configuration:'), error.message);
+    ]);
+    return answer.query;
+  }
+
+  // Interactive key picker; returns the chosen key's ID, or null when the vault is empty
+  async pickKey(verb) {
+    const keys = await this.loadKeys();
+    if (keys.length === 0) {
+      console.log(chalk.yellow(`No keys to ${verb}.`));
+      return null;
     }
+
+    const candidates = keys.filter(compileQuery(await this.promptKeyQuery(keys)));
+    const answer = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'keyId',
+        message: `Select key to ${verb}:`,
+        choices: candidates.map(key => ({
+          name: `${key.name} (${key.id})`,
+          value: key.id
+        }))
+      }
+    ]);
+    return answer.keyId;
   }
 
   // Interactive mode
@@ -979,6 +3767,7 @@ export class SSHKeyManager {
           choices: [
             { name: 'List all keys', value: 'list' },
             { name: 'Add new key', value: 'add' },
+            { name: 'Generate new key pair', value: 'generate' },
             { name: 'Edit key', value: 'edit' },
             { name: 'Delete key', value: 'delete' },
             { name: 'Copy key to clipboard', value: 'copy' },
@@ -995,70 +3784,31 @@ export class SSHKeyManager {
       try {
         switch (answer.action) {
           case 'list':
-            await this.listKeys();
+            await this.listKeys({ query: await this.promptKeyQuery(await this.loadKeys()) });
             break;
           case 'add':
             await this.addKey();
             break;
+          case 'generate':
+            await this.generateKey();
+            break;
           case 'edit':
-            const keys = await this.loadKeys();
-            if (keys.length === 0) {
-              console.log(chalk.yellow('No keys to edit.'));
-              break;
+            const editId = await this.pickKey('edit');
+            if (editId) {
+              await this.editKey(editId);
             }
-            const editChoices = keys.map(key => ({
-              name: `${key.name} (${key.id})`,
-              value: key.id
-            }));
-            const editAnswer = await inquirer.prompt([
-              {
-                type: 'list',
-                name: 'keyId',
-                message: 'Select key to edit:',
-                choices: editChoices
-              }
-            ]);
-            await this.editKey(editAnswer.keyId);
             break;
           case 'delete':
-            const deleteKeys = await this.loadKeys();
-            if (deleteKeys.length === 0) {
-              console.log(chalk.yellow('No keys to delete.'));
-              break;
+            const deleteId = await this.pickKey('delete');
+            if (deleteId) {
+              await this.deleteKey(deleteId);
             }
-            const deleteChoices = deleteKeys.map(key => ({
-              name: `${key.name} (${key.id})`,
-              value: key.id
-            }));
-            const deleteAnswer = await inquirer.prompt([
-              {
-                type: 'list',
-                name: 'keyId',
-                message: 'Select key to delete:',
-                choices: deleteChoices
-              }
-            ]);
-            await this.deleteKey(deleteAnswer.keyId);
             break;
           case 'copy':
-            const copyKeys = await this.loadKeys();
-            if (copyKeys.length === 0) {
-              console.log(chalk.yellow('No keys to copy.'));
-              break;
+            const copyId = await this.pickKey('copy');
+            if (copyId) {
+              await this.copyKey(copyId);
             }
-            const copyChoices = copyKeys.map(key => ({
-              name: `${key.name} (${key.id})`,
-              value: key.id
-            }));
-            const copyAnswer = await inquirer.prompt([
-              {
-                type: 'list',
-                name: 'keyId',
-                message: 'Select key to copy:',
-                choices: copyChoices
-              }
-            ]);
-            await this.copyKey(copyAnswer.keyId);
             break;
           case 'scan':
             await this.scanKeys();
@@ -1070,24 +3820,10 @@ export class SSHKeyManager {
             await this.exportKeys();
             break;
           case 'show':
-            const showKeys = await this.loadKeys();
-            if (showKeys.length === 0) {
-              console.log(chalk.yellow('No keys to show.'));
-              break;
+            const showId = await this.pickKey('show');
+            if (showId) {
+              await this.showKey(showId);
             }
-            const showChoices = showKeys.map(key => ({
-              name: `${key.name} (${key.id})`,
-              value: key.id
-            }));
-            const showAnswer = await inquirer.prompt([
-              {
-                type: 'list',
-                name: 'keyId',
-                message: 'Select key to show:',
-                choices: showChoices
-              }
-            ]);
-            await this.showKey(showAnswer.keyId);
             break;
           case 'config':
             await this.manageConfig();
@@ -1097,7 +3833,11 @@ export class SSHKeyManager {
             return;
         }
       } catch (error) {
-        console.error(chalk.red('Error:'), error.message);
+        if (error instanceof CancelledError) {
+          console.log(chalk.yellow(`${error.message}.`));
+        } else {
+          console.error(chalk.red('Error:'), error.message);
+        }
       }
 
       console.log(''); // Add spacing
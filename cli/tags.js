@@ -0,0 +1,53 @@
+// Split tag arguments ("a,b", ["a", "b"]) into a trimmed list without case-insensitive duplicates
+export function parseTags(value) {
+  const tags = [];
+  for (const item of [].concat(value ?? [])) {
+    for (const part of String(item).split(',')) {
+      const tag = part.trim();
+      if (tag && !tags.some(existing => existing.toLowerCase() === tag.toLowerCase())) {
+        tags.push(tag);
+      }
+    }
+  }
+  return tags;
+}
+
+// Tags of a stored or imported record, including the single `tag` field older versions wrote
+export function getRecordTags(record) {
+  return parseTags([].concat(record.tags ?? [], record.tag ?? []));
+}
+
+// Record with a `tags` array in place of the old `tag` field
+export function normalizeKeyTags(key) {
+  if (Array.isArray(key.tags) && !('tag' in key)) {
+    return key;
+  }
+  const { tag, ...rest } = key;
+  return { ...rest, tags: getRecordTags(key) };
+}
+
+export function hasTag(key, tag) {
+  const wanted = tag.toLowerCase();
+  return (key.tags || []).some(existing => existing.toLowerCase() === wanted);
+}
+
+// Whether a key carries any (or, with mode "all", every) one of the wanted tags
+export function matchesTags(key, wanted, mode = 'any') {
+  if (wanted.length === 0) {
+    return true;
+  }
+  return mode === 'all' ? wanted.every(tag => hasTag(key, tag)) : wanted.some(tag => hasTag(key, tag));
+}
+
+// Number of keys using each tag, most used first
+export function countTags(keys) {
+  const counts = new Map();
+  for (const key of keys) {
+    for (const tag of key.tags || []) {
+      const entry = counts.get(tag.toLowerCase()) || { tag, count: 0 };
+      entry.count++;
+      counts.set(tag.toLowerCase(), entry);
+    }
+  }
+  return [...counts.values()].sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
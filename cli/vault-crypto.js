@@ -0,0 +1,212 @@
+import crypto from 'crypto';
+import { UsageError, DecryptError } from './errors.js';
+
+export const VAULT_FORMAT = 'ssh-kim-vault';
+export const VAULT_VERSION = 2;
+export const VAULT_CIPHER = 'aes-256-gcm';
+
+// Supported key derivation functions; cost is log2(N) for scrypt and iterations for PBKDF2
+export const KDF_DEFAULTS = {
+  scrypt: { cost: 15, minCost: 14, maxCost: 20 },
+  pbkdf2: { cost: 600000, minCost: 100000, maxCost: 10000000 }
+};
+
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const SALT_LENGTH = 16;
+const PBKDF2_DIGESTS = ['sha512', 'sha256'];
+// scrypt needs about 128 * N * r bytes; headers asking for more than the strongest setting are refused
+const SCRYPT_MAX_MEMORY = 128 * 2 ** KDF_DEFAULTS.scrypt.maxCost * 8;
+const LEGACY_PATTERN = /^[0-9a-f]{32}:[0-9a-f]*$/i;
+
+// Derived keys are cached per secret and parameter set so repeated saves stay fast
+const derivedKeyCache = new Map();
+
+// Build a fresh parameter set (with a random salt) for the chosen KDF
+export function createKdfParams(name = 'scrypt', cost) {
+  const defaults = KDF_DEFAULTS[name];
+  if (!defaults) {
+    throw new UsageError(`Unsupported key derivation function "${name}". Use one of: ${Object.keys(KDF_DEFAULTS).join(', ')}`);
+  }
+
+  const value = cost === undefined || cost === null ? defaults.cost : Number(cost);
+  if (!Number.isInteger(value) || value < defaults.minCost || value > defaults.maxCost) {
+    throw new UsageError(`${name} cost must be an integer between ${defaults.minCost} and ${defaults.maxCost}`);
+  }
+
+  const salt = crypto.randomBytes(SALT_LENGTH).toString('base64');
+  if (name === 'scrypt') {
+    return { name, salt, N: 2 ** value, r: 8, p: 1 };
+  }
+  return { name, salt, iterations: value, digest: 'sha512' };
+}
+
+// Check whether stored parameters use the given KDF settings
+export function kdfMatches(kdf, name, cost) {
+  if (!kdf || kdf.name !== name) return false;
+  const value = cost === undefined || cost === null ? KDF_DEFAULTS[name].cost : Number(cost);
+  return name === 'scrypt' ? kdf.N === 2 ** value : kdf.iterations === value;
+}
+
+// Short description of KDF parameters, e.g. for config --show
+export function describeKdf(kdf) {
+  if (kdf.name === 'scrypt') {
+    return `scrypt (N=2^${Math.log2(kdf.N)}, r=${kdf.r}, p=${kdf.p})`;
+  }
+  return `PBKDF2-${kdf.digest.toUpperCase()} (${kdf.iterations} iterations)`;
+}
+
+// Derive the 256-bit vault key from a secret
+export function deriveKey(secret, kdf) {
+  const secretHash = crypto.createHash('sha256').update(secret).digest('hex');
+  const cacheKey = `${secretHash}:${JSON.stringify(kdf)}`;
+  if (derivedKeyCache.has(cacheKey)) {
+    return derivedKeyCache.get(cacheKey);
+  }
+
+  const salt = Buffer.from(kdf.salt, 'base64');
+  let key;
+  if (kdf.name === 'scrypt') {
+    key = crypto.scryptSync(secret, salt, KEY_LENGTH, {
+      N: kdf.N,
+      r: kdf.r,
+      p: kdf.p,
+      maxmem: 256 * kdf.N * kdf.r * kdf.p
+    });
+  } else if (kdf.name === 'pbkdf2') {
+    key = crypto.pbkdf2Sync(secret, salt, kdf.iterations, KEY_LENGTH, kdf.digest);
+  } else {
+    throw new Error(`Unsupported key derivation function "${kdf.name}"`);
+  }
+
+  derivedKeyCache.set(cacheKey, key);
+  return key;
+}
+
+// Whether KDF parameters read from a vault header are within the supported ranges. The header is
+// only authenticated after the key is derived, so a tampered file must not pick the cost.
+function isSupportedKdf(kdf) {
+  if (!kdf || typeof kdf.salt !== 'string' || Buffer.from(kdf.salt, 'base64').length < SALT_LENGTH) {
+    return false;
+  }
+  const isInt = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+  if (kdf.name === 'scrypt') {
+    const { minCost, maxCost } = KDF_DEFAULTS.scrypt;
+    return isInt(kdf.N, 2 ** minCost, 2 ** maxCost) && Number.isInteger(Math.log2(kdf.N)) &&
+      isInt(kdf.r, 1, 16) && isInt(kdf.p, 1, 4) && 128 * kdf.N * kdf.r <= SCRYPT_MAX_MEMORY;
+  }
+  if (kdf.name === 'pbkdf2') {
+    const { minCost, maxCost } = KDF_DEFAULTS.pbkdf2;
+    return isInt(kdf.iterations, minCost, maxCost) && PBKDF2_DIGESTS.includes(kdf.digest);
+  }
+  return false;
+}
+
+// Decode a base64 header field, or null when it is missing or not the expected length
+function decodeField(value, length) {
+  if (typeof value !== 'string') return null;
+  const buffer = Buffer.from(value, 'base64');
+  return length === undefined || buffer.length === length ? buffer : null;
+}
+
+// Header fields covered by the authentication tag
+function getAssociatedData(header) {
+  return Buffer.from(JSON.stringify({
+    format: header.format,
+    version: header.version,
+    cipher: header.cipher,
+    kdf: header.kdf
+  }), 'utf8');
+}
+
+// Encrypt plaintext into a versioned vault document using a key derived for kdf
+export function encryptVault(plaintext, key, kdf) {
+  const header = { format: VAULT_FORMAT, version: VAULT_VERSION, cipher: VAULT_CIPHER, kdf };
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(VAULT_CIPHER, key, iv);
+  cipher.setAAD(getAssociatedData(header));
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return JSON.stringify({
+    ...header,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: ciphertext.toString('base64')
+  }) + '\n';
+}
+
+// Parse and validate the vault header without decrypting
+export function readVaultHeader(text) {
+  let document;
+  try {
+    document = JSON.parse(text);
+  } catch {
+    throw new DecryptError('Vault file is not in a recognised format');
+  }
+
+  if (!document || document.format !== VAULT_FORMAT) {
+    throw new DecryptError('Vault file is not in a recognised format');
+  }
+  if (document.version !== VAULT_VERSION) {
+    throw new DecryptError(`Unsupported vault version ${document.version}; please upgrade ssh-kim`);
+  }
+  if (document.cipher !== VAULT_CIPHER) {
+    throw new DecryptError(`Unsupported vault cipher "${document.cipher}"`);
+  }
+  if (!isSupportedKdf(document.kdf)) {
+    throw new DecryptError('Vault key derivation settings are missing or out of range; the file may have been modified');
+  }
+
+  return document;
+}
+
+// Decrypt a versioned vault document, verifying its integrity; getKey maps KDF parameters to a key
+export function decryptVault(text, getKey) {
+  const document = readVaultHeader(text);
+  const ivBytes = decodeField(document.iv, IV_LENGTH);
+  const tagBytes = decodeField(document.tag, TAG_LENGTH);
+  const ciphertext = decodeField(document.data);
+  if (!ivBytes || !tagBytes || !ciphertext) {
+    throw new DecryptError('Vault integrity check failed: the file has been modified or is incomplete');
+  }
+  const key = getKey(document.kdf);
+
+  let plaintext;
+  try {
+    const decipher = crypto.createDecipheriv(VAULT_CIPHER, key, ivBytes, { authTagLength: TAG_LENGTH });
+    decipher.setAAD(getAssociatedData(document));
+    decipher.setAuthTag(tagBytes);
+    plaintext = Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+  } catch {
+    throw new DecryptError('Vault integrity check failed: wrong password or the file has been modified');
+  }
+
+  const { iv, tag, data, ...header } = document;
+  return { plaintext, header };
+}
+
+// Check whether content uses the original unauthenticated iv:ciphertext format
+export function isLegacyVault(text) {
+  return LEGACY_PATTERN.test(text.trim());
+}
+
+// Key the original format derived from a password (single unsalted SHA-256)
+export function legacyPasswordKey(password) {
+  const hash = crypto.createHash('sha256');
+  hash.update(password + 'ssh-kim-password-salt');
+  return hash.digest();
+}
+
+// Decrypt the original AES-256-CBC format
+export function decryptLegacy(text, key) {
+  const [ivHex, encrypted] = text.trim().split(':');
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-cbc', key, Buffer.from(ivHex, 'hex'));
+    let decrypted = decipher.update(encrypted, 'hex', 'utf8');
+    decrypted += decipher.final('utf8');
+    return decrypted;
+  } catch {
+    throw new DecryptError('Unable to decrypt legacy vault: wrong password or corrupted file');
+  }
+}